@@ -13,8 +13,20 @@
  * <li>prefixChars -- Characters that prefix optional arguments</li>
  * <li>prefixCharsFile -- Characters that prefix files containing additional arguments</li>
  * <li>argumentDefault -- The default value for all arguments</li>
+ * <li>envPrefix -- Prefix of the environment variables read for the arguments
+ * without env (ex: "MYTOOL" reads --api-url from MYTOOL_API_URL)</li>
+ * <li>configFiles -- Configuration files read for the arguments missing from
+ * the command line, missing files are skipped</li>
+ * <li>configOption -- Option string(s) of an argument naming one more
+ * configuration file (ex: "--config")</li>
+ * <li>configName -- Name of the configuration files to discover (ex: "mytool"
+ * reads ~/.config/mytool/config.json, ~/.mytoolrc, the "mytool" key of the
+ * nearest package.json and the .mytoolrc files of the current directory and
+ * its parents)</li>
  * <li>conflictHandler -- String indicating how to handle conflicts</li>
  * <li>addHelp -- Add a -h/-help option</li>
+ * <li>handler -- Function called by run() with the namespace when this parser
+ * is the deepest selected one (same as setDefaults({handler: handler}))</li>
  * </ul>
  */
 
@@ -23,6 +35,8 @@
  */
 var util = require(process.binding('natives').util ? 'util': 'sys');
 var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
 
 /**
  * Utils methods
@@ -74,6 +88,152 @@ var $stringPrint = function (string, obj) {
     return result;
 };
 
+var $stringToBoolean = function (string) {
+    var value = $stringStrip(string).toLowerCase();
+    if (['1', 'true', 'yes', 'on'].indexOf(value) >= 0) {
+        return true;
+    }
+    if (['0', 'false', 'no', 'off', ''].indexOf(value) >= 0) {
+        return false;
+    }
+    return undefined;
+};
+
+var $isThenable = function (o) {
+    return !!o && typeof(o.then) === 'function';
+};
+
+/**
+ * Return the {min: min, max: max} range of a nargs given as a range
+ * ({min: 2, max: 4} or [2, 4], no max meaning no limit), or undefined.
+ */
+var $nargsRange = function (nargs) {
+    if (Array.isArray(nargs)) {
+        return {min: nargs[0], max: nargs[1]};
+    }
+    if (nargs !== null && typeof(nargs) === 'object') {
+        return {min: nargs.min, max: nargs.max};
+    }
+    return undefined;
+};
+
+/**
+ * Return why nargs is invalid (a number, a range or one of "?", "*", "+",
+ * "A...", "..." being expected), or undefined
+ */
+var $nargsError = function (nargs) {
+    var range = $nargsRange(nargs);
+    if (nargs !== undefined && typeof(nargs) !== 'number' && range === undefined &&
+        [OPTIONAL, ZERO_OR_MORE, ONE_OR_MORE, PARSER, REMAINDER].indexOf(nargs) < 0
+    ) {
+        return 'nargs should be a number, a range or one of "?", "*", "+", "A...", "..."';
+    }
+    if (range !== undefined && (
+        typeof(range.min) !== 'number' || range.min < 0 || range.min % 1 !== 0 ||
+        range.max !== undefined && (typeof(range.max) !== 'number' || range.max < Math.max(range.min, 1) || range.max % 1 !== 0)
+    )) {
+        return 'nargs range should be {min: N, max: M} with 0 <= N <= M and M > 0';
+    }
+    return undefined;
+};
+
+var $stringUnquote = function (string) {
+    return string.replace(/^"(.*)"$|^'(.*)'$/, '$1$2');
+};
+
+/**
+ * Return the edit distance (Levenshtein) between two strings
+ */
+var $stringDistance = function (a, b) {
+    var previous = [], current, i, j;
+    for (j = 0; j <= b.length; j += 1) {
+        previous.push(j);
+    }
+    for (i = 1; i <= a.length; i += 1) {
+        current = [i];
+        for (j = 1; j <= b.length; j += 1) {
+            current.push(Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0: 1)
+            ));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Parse INI content ("key = value" lines, ";" or "#" comments). Section
+ * headers are ignored and repeated keys give a list of values.
+ */
+var $parseIni = function (content) {
+    var result = {};
+    content.split(/\r?\n/).forEach(function (line) {
+        var matches, key, value;
+        line = $stringStrip(line);
+        if (line === '' || line[0] === ';' || line[0] === '#' || line[0] === '[') {
+            return;
+        }
+        matches = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (!matches) {
+            throw new Error($stringPrint(_('invalid line "%line%"'), {line: line}));
+        }
+        key = matches[1];
+        value = $stringUnquote(matches[2]);
+        result[key] = result.hasOwnProperty(key) ? [].concat(result[key], value): value;
+    });
+    return result;
+};
+
+/**
+ * Parse a YAML subset: "key: value" lines, "#" comments, and lists written
+ * either inline ("key: [a, b]") or as "- item" lines following "key:".
+ * Booleans and numbers are converted.
+ */
+var $parseYaml = function (content) {
+    var result = {},
+        key,
+        scalar = function (value) {
+            value = $stringStrip(value);
+            if (value === 'true' || value === 'false') {
+                return value === 'true';
+            }
+            if (value.match(/^-?\d+(\.\d+)?$/)) {
+                return parseFloat(value);
+            }
+            return $stringUnquote(value);
+        };
+
+    content.split(/\r?\n/).forEach(function (line) {
+        var matches;
+        line = $stringRStrip(line.replace(/(^|\s)#.*$/, ''));
+        if (line === '') {
+            return;
+        }
+        matches = line.match(/^\s*-\s+(.*)$/);
+        if (matches && key !== undefined) {
+            result[key] = [].concat(result[key], scalar(matches[1]));
+            return;
+        }
+        matches = line.match(/^([^:\s-][^:]*?)\s*:(\s+(.*))?$/);
+        if (!matches) {
+            throw new Error($stringPrint(_('invalid line "%line%"'), {line: line}));
+        }
+        key = matches[1];
+        if (matches[3] === undefined) {
+            result[key] = [];
+        } else if (matches[3].match(/^\[.*\]$/)) {
+            result[key] = matches[3].slice(1, -1).split(',').filter(function (value) {
+                return $stringStrip(value) !== '';
+            }).map(scalar);
+        } else {
+            result[key] = scalar(matches[3]);
+        }
+    });
+    return result;
+};
+
 var _ = function (string) {
     return string;
 };
@@ -105,10 +265,23 @@ var REMAINDER = '...';
  * An error from creating or using an argument (optional or positional). The
  * string value of this exception is the message, augmented with information
  * about the argument that caused it.
+ *
+ * The code identifies the kind of error (ex: 'INVALID_CHOICE', 'REQUIRED').
+ * The index of the offending argument string, if any, is set while parsing.
+ *
+ * @constructor
+ * @param {Action|string} argument
+ * @param {string} message
+ * @param {string} code
  */
-function ArgumentError(argument, message) {
+function ArgumentError(argument, message, code) {
     Error.call(this, message);
-    if (argument.getName) {
+    this.message = message;
+    this.code = code;
+    this.index = undefined;
+    if (argument === undefined || argument === null) {
+        this.argumentName = undefined;
+    } else if (argument.getName) {
         this.argumentName = argument.getName();
     } else {
         this.argumentName = '' + argument;
@@ -127,6 +300,7 @@ ArgumentError.prototype.toString = function () {
 
 function SystemExit(code, message) {
     Error.call(this, message);
+    this.message = message;
     this.code = code;
 }
 util.inherits(SystemExit, Error);
@@ -175,9 +349,7 @@ HelpSection.prototype.formatHelp = function () {
     }
 
     // add the heading if the section was non-empty
-    heading = (this.heading && this.heading !== SUPPRESS) ?
-        $stringRepeat(' ', this.formatter.indentationCurrent) + this.heading + ':' + EOL :
-        '';
+    heading = (this.heading && this.heading !== SUPPRESS) ? this.formatter._formatHeading(this.heading): '';
 
     // join the section-initialize newline, the heading and the help
     return this.formatter._joinParts([EOL, heading, itemHelp, EOL]);
@@ -207,8 +379,11 @@ function HelpFormatter(options) {
     this.sectionRoot = new HelpSection(this);
     this.sectionCurrent = this.sectionRoot;
 
+    // describe the parsers of the commands too (see ArgumentParser.describe)
+    this.recursive = false;
+
     this._regexpWhitespace = new RegExp('\\s+');
-    this._regexpLongBreak = new RegExp(EOL + EOL + EOL + '+');
+    this._regexpLongBreak = new RegExp(EOL + EOL + EOL + '+', 'g');
 }
 
 HelpFormatter.prototype._indent = function () {
@@ -231,16 +406,38 @@ HelpFormatter.prototype._addItem = function (callback) {
     return this;
 };
 
+/**
+ * Return the help of a parser from its description (see
+ * ArgumentParser.describe): the usage, the description, the groups and the
+ * epilog. Formatters of other formats may only override this method.
+ *
+ * @param {object} parser the description of the parser
+ * @return {string}
+ */
+HelpFormatter.prototype.render = function (parser) {
+    this.addUsage(parser.usageTemplate, parser.actions, parser.checkedGroups);
+    this.addText(parser.description);
+    parser.groups.forEach(function (group) {
+        this.startSection(group.title);
+        this.addText(group.description);
+        this.addArguments(group.actions);
+        this.endSection();
+    }, this);
+    this.addText(parser.epilog);
+    return this.formatHelp();
+};
+
 /**
  * Message building methods
  */
 HelpFormatter.prototype.startSection = function (/* string */ heading) {
-    var self = this;
+    var section;
     this._indent();
-    this.sectionCurrent = new HelpSection(this, this.sectionCurrent, heading);
+    section = new HelpSection(this, this.sectionCurrent, heading);
     this._addItem(function () {
-        return self._sectionCurrent.formatHelp();
+        return section.formatHelp();
     });
+    this.sectionCurrent = section;
     return this;
 };
 
@@ -279,15 +476,15 @@ HelpFormatter.prototype.addArgument = function (action) {
             invocationLength = invocations[0].length,
             actionLength;
 
-        if (action._getSubactions !== undefined) {
+        if (action.commands !== undefined) {
             this._indent();
-            action._getSubactions().forEach(function (subaction) {
+            this._getSubactions(action).forEach(function (subaction) {
 
                 var invocationNew = this._formatActionInvocation(subaction);
                 invocations.push(invocationNew);
                 invocationLength = Math.max(invocationLength, invocationNew.length);
 
-            });
+            }.bind(this));
             this._dedent();
         }
 
@@ -329,7 +526,7 @@ HelpFormatter.prototype._joinParts = function (partStrings) {
 };
 
 HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, groups, /* string */ prefix) {
-    prefix = prefix || _('usage: ');
+    prefix = prefix !== undefined ? prefix: _('usage: ');
     actions = actions || [];
     groups = groups || [];
 
@@ -354,7 +551,7 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
 
         // split optionals from positionals
         actions.forEach(function (action) {
-            if (action.isOptional()) {
+            if (action.optionStrings.length > 0) {
                 optionals.push(action);
             } else {
                 positionals.push(action);
@@ -377,13 +574,8 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
         if ((prefix.length + usage.length) > textWidth) {
 
             // break usage into wrappable parts
-            var regexpPart = new RegExp('\\(.*?\\)+|\\[.*?\\]+|\\S+'),
-                optionalUsage = this._formatActionsUsage(optionals, groups),
-                positionalUsage = this._formatActionsUsage(positionals, groups),
-                optionalParts = optionalUsage.match(regexpPart),
-                positionalParts = positionalUsage.match(regexpPart);
-            // assert.equal(optionalParts.join(' '), optionalUsage);
-            // assert.equal(positionalParts.join(' '), positionalUsage);
+            var optionalParts = this._getActionsUsageParts(optionals, groups),
+                positionalParts = this._getActionsUsageParts(positionals, groups);
 
             // helper for wrapping lines
             var __getLines = function (parts, indent, prefix) {
@@ -401,7 +593,7 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
                     lineLength += part.length + 1;
                 });
 
-                if (line) {
+                if (line.length > 0) {
                     lines.push(indent + line.join(' '));
                 }
                 if (prefix) {
@@ -414,12 +606,12 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
             // if prog is short, follow it with optionals or positionals
             if (prefix.length + program.length <= 0.75 * textWidth) {
                 indent = $stringRepeat(' ', (prefix.length + program.length + 1));
-                if (optionalParts) {
+                if (optionalParts.length > 0) {
                     lines = [].concat(
                             __getLines([program].concat(optionalParts), indent, prefix),
                             __getLines(positionalParts, indent)
                     );
-                } else if (positionalParts) {
+                } else if (positionalParts.length > 0) {
                     lines = __getLines([program].concat(positionalParts), indent, prefix);
                 } else {
                     lines = [program];
@@ -428,7 +620,7 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
             // if prog is long, put it on its own line
             } else {
                 indent = $stringRepeat(' ', prefix.length);
-                parts = optionalParts + positionalParts;
+                parts = optionalParts.concat(positionalParts);
                 lines = __getLines(parts, indent);
                 if (lines.length > 1) {
                     lines = [].concat(
@@ -436,7 +628,7 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
                             __getLines(positionalParts, indent)
                     );
                 }
-                lines = [program] + lines;
+                lines = [program].concat(lines);
             }
             // join lines into usage
             usage = lines.join(EOL);
@@ -448,115 +640,144 @@ HelpFormatter.prototype._formatUsage = function (/* string */ usage, actions, gr
 };
 
 HelpFormatter.prototype._formatActionsUsage = function (actions, groups) {
-    // find group indices and identify actions in groups
-    var groupActions = [];
-    var inserts = [];
-
-    groups.forEach(function (group) {
-        var start = actions.indexOf(group._groupActions[0]),
-            end, i;
-        if (start >= 0) {
-            end = start + group._groupActions.length;
+    return this._getActionsUsageParts(actions, groups).join(' ');
+};
 
-            if (actions.slice(start, end) === group._groupActions) {
-                group._groupActions.forEach(function (action) {
-                    groupActions.add(action);
-                });
+/**
+ * Return the usage of the actions as a list of parts, the actions of a group
+ * being a single part (ex: [-a | -b]) when they follow each other
+ *
+ * @param {Array} actions
+ * @param {Array} groups
+ * @return {Array}
+ */
+HelpFormatter.prototype._getActionsUsageParts = function (actions, groups) {
+    // find the groups whose actions follow each other
+    var groupsByStart = {},
+        groupActions = [],
+        parts = [],
+        actionIndex = 0,
+        group,
+        part;
 
-                if (!group.required) {
-                    inserts[start] = '[';
-                    inserts[end] = ']';
-                } else {
-                    inserts[start] = '(';
-                    inserts[end] = ')';
-                }
-                for (i = start + 1; i < end; i += 1) {
-                    inserts[i] = '|';
-                }
-            }
+    groups.forEach(function (group) {
+        var start = actions.indexOf(group.actions[0]);
+        if (start >= 0 && group.actions.every(function (action, index) {
+            return actions[start + index] === action && groupActions.indexOf(action) < 0;
+        })) {
+            groupsByStart[start] = group;
+            groupActions = groupActions.concat(group.actions);
         }
     });
 
     // collect all actions format strings
-    var parts = [];
-    actions.forEach(function (action, actionIndex) {
-        var part,
-            optionString,
-            argsDefault,
-            argsString;
+    while (actionIndex < actions.length) {
+        group = groupsByStart[actionIndex];
+        if (group !== undefined) {
+            part = this._formatGroupUsage(group, false);
+            actionIndex += group.actions.length;
+        } else {
+            part = this._formatActionUsage(actions[actionIndex], false);
+            actionIndex += 1;
+        }
+        if (part) {
+            parts.push(part);
+        }
+    }
+    return parts;
+};
 
-        // suppressed arguments are marked with None
-        // remove | separators for suppressed arguments
-        if (action.help === SUPPRESS) {
-            parts.push(null);
-            if (inserts[actionIndex] === '|') {
-                inserts.splice(actionIndex);
-            } else if (inserts[actionIndex + 1] === '|') {
-                inserts.splice(actionIndex + 1);
-            }
+/**
+ * Return the usage of an action (undefined if suppressed), without brackets
+ * if in a group
+ *
+ * @param {Action} action
+ * @param {boolean} inGroup
+ * @return {string}
+ */
+HelpFormatter.prototype._formatActionUsage = function (action, inGroup) {
+    var part;
+
+    // suppressed arguments are not shown
+    if (action.help === SUPPRESS) {
+        return undefined;
+    }
 
-            // produce all arg strings
-        } else if (action.isPositional()) {
-            part = this._formatArgs(action, action.destination);
+    // produce all arg strings
+    if (action.optionStrings.length === 0) {
+        part = this._formatArgs(action, action.destination);
 
-            // if it's in a group, strip the outer []
-            if (groupActions.indexOf(action) >= 0) {
-                if (part[0] === '[' && part[part.length - 1] === ']') {
-                    part = part.slice(1, -1);
-                }
-            }
-            // add the action string to the list
-            parts.push(part);
+        // if it's in a group, strip the outer []
+        if (inGroup && part[0] === '[' && part[part.length - 1] === ']') {
+            part = part.slice(1, -1);
+        }
+        return part;
+    }
 
-            // produce the first way to invoke the option in brackets
-        } else {
-            optionString = action.optionStrings[0];
+    // produce the first way to invoke the option in brackets
+    // if the Optional doesn't take a value, format is: -s or --long
+    if (action.nargs === 0) {
+        part = action.optionUsage;
 
-            // if the Optional doesn't take a value, format is: -s or --long
-            if (action.nargs === 0) {
-                part = '' + optionString;
+    // if the Optional takes a value, format is: -s ARGS or --long ARGS
+    } else {
+        part = action.optionStrings[0] + ' ' + this._formatArgs(action, action.destination.toUpperCase());
+    }
 
-            // if the Optional takes a value, format is: -s ARGS or --long ARGS
-            } else {
-                argsDefault = action.destination.toUpperCase();
-                argsString = this._formatArgs(action, argsDefault);
-                part = optionString + ' ' + argsString;
-            }
-            // make it look optional if it's not required or in a group
-            if (!action.required && groupActions.indexOf(action) < 0) {
-                part = '[' + part + ']';
-            }
-            // add the action string to the list
-            parts.push(part);
-        }
-    }.bind(this));
+    // make it look optional if it's not required or in a group
+    if (!action.required && !inGroup) {
+        part = '[' + part + ']';
+    }
+    return part;
+};
 
-    // insert things at the necessary indices
-    inserts.reverse().forEach(function (insert, insertIndex) {
-        parts = parts.slice(0, insertIndex).concat([insert], parts.slice(insertIndex + 1, parts.length - 1));
-    });
+/**
+ * Return the usage of a group (undefined if all its arguments are
+ * suppressed):
+ * <ul>
+ * <li>mutually exclusive: [-a | -b], or (-a | -b) if required</li>
+ * <li>inclusive: [-a A -b B], or -a A -b B if required</li>
+ * <li>counted: [-a | -b | -c]{0,2}, or (-a | -b | -c){2,} with a
+ * minimum</li>
+ * </ul>
+ * A group nested in a mutually exclusive group is an alternative taken as a
+ * whole, formatted as required (ex: [--url URL | --host HOST --port PORT]).
+ *
+ * @param {object} group the description of the group
+ * @param {boolean} nested
+ * @return {string}
+ */
+HelpFormatter.prototype._formatGroupUsage = function (group, nested) {
+    var required = group.required || nested,
+        parts;
 
-    // join all the action items with spaces
-    var text = parts.filter(
-        function (part) {
-            if (part) {
-                return true;
-            }
-            return false;
+    parts = group.members.map(function (member) {
+        if (member.kind !== undefined) {
+            return this._formatGroupUsage(member, true);
         }
-    ).join(' ');
+        return this._formatActionUsage(member, true);
+    }, this).filter(function (part) {
+        return !!part;
+    });
 
-    // clean up separators for mutually exclusive groups
-    var regexpOpen = '[\\[(]';
-    var regexpClose = '[\\])]';
-    text = text.replace('(' + regexpOpen + ') ', '\\1');
-    text = text.replace(' (' + regexpClose + ')', '\\1');
-    text = text.replace(regexpOpen + ' *' + regexpClose, '');
-    text = text.replace('\\(([^|]*)\\)', '\\1');
-    text = $stringStrip(text);
+    if (parts.length === 0) {
+        return undefined;
+    }
+    if (group.kind === 'inclusive') {
+        return required ? parts.join(' '): '[' + parts.join(' ') + ']';
+    }
+    if (group.kind === 'count') {
+        return (required ? '(': '[') + parts.join(' | ') + (required ? ')': ']') +
+            '{' + group.minCount + ',' + (group.maxCount !== undefined ? group.maxCount: '') + '}';
+    }
+    if (required) {
+        return parts.length > 1 ? '(' + parts.join(' | ') + ')': parts[0];
+    }
+    return '[' + parts.join(' | ') + ']';
+};
 
-    // return the text
-    return text;
+HelpFormatter.prototype._formatHeading = function (/* string */ heading) {
+    return $stringRepeat(' ', this.indentationCurrent) + heading + ':' + EOL;
 };
 
 HelpFormatter.prototype._formatText = function (/* string */ text) {
@@ -577,13 +798,17 @@ HelpFormatter.prototype._formatAction = function (action) {
         parts,
         indentFirst;
 
+    // the help, with the annotations of arguments without help
+    helpText = this._expandHelp(action);
+
     // no help; start on same line and add a final newline
-    if (!action.help) {
+    if (!helpText) {
         actionHeader = $stringRepeat(' ', this.indentationCurrent) + actionHeader + EOL;
 
     // short action name; start on the same line and pad two spaces
     } else if (actionHeader.length <= actionWidth) {
-        actionHeader = $stringRepeat(' ', this.indentationCurrent) + '-' + actionHeader + '  ';
+        actionHeader = $stringRepeat(' ', this.indentationCurrent) + actionHeader +
+            $stringRepeat(' ', actionWidth - actionHeader.length) + '  ';
         indentFirst = 0;
 
     // long action name; start on the next line
@@ -595,8 +820,7 @@ HelpFormatter.prototype._formatAction = function (action) {
     parts = [actionHeader];
 
     // if there was help for the action, add lines of help text
-    if (action.help) {
-        helpText = this._expandHelp(action);
+    if (helpText) {
         helpLines = this._splitLines(helpText, helpWidth);
         parts.push($stringRepeat(' ', indentFirst) + helpLines[0] + EOL);
         helpLines.slice(1).forEach(function (line) {
@@ -604,18 +828,15 @@ HelpFormatter.prototype._formatAction = function (action) {
         });
 
         // or add a newline if the description doesn't end with one
-    } else {
-        var diff = this.length - EOL.length;
-        if (!(diff >= 0 && this.indexOf(EOL, diff) === diff)) {
-            parts.push(EOL);
-        }
+    } else if (actionHeader.substr(-EOL.length) !== EOL) {
+        parts.push(EOL);
     }
     // if there are any sub-actions, add their help as well
-    if (action._getSubactions !== undefined) {
+    if (action.commands !== undefined) {
         this._indent();
-        action._getSubactions().forEach(function (subaction) {
+        this._getSubactions(action).forEach(function (subaction) {
             parts.push(this._formatAction(subaction));
-        });
+        }.bind(this));
         this._dedent();
     }
 
@@ -623,9 +844,25 @@ HelpFormatter.prototype._formatAction = function (action) {
     return this._joinParts(parts);
 };
 
+/**
+ * Return the commands of a subparsers action having a help, as actions
+ */
+HelpFormatter.prototype._getSubactions = function (action) {
+    return action.commands.filter(function (command) {
+        return command.help !== undefined;
+    }).map(function (command) {
+        return {
+            optionStrings: [],
+            destination: command.name,
+            metavar: command.aliases.length > 0 ? command.name + ' (' + command.aliases.join(', ') + ')': command.name,
+            help: command.help
+        };
+    });
+};
+
 HelpFormatter.prototype._formatActionInvocation = function (action) {
-    if (action.isPositional()) {
-        return this._metavarFormatter(action, action.destination)(1);
+    if (action.optionStrings.length === 0) {
+        return this._metavarFormatter(action, action.destination)(1)[0];
     } else {
         var parts = [],
             argsDefault,
@@ -654,10 +891,18 @@ HelpFormatter.prototype._metavarFormatter = function (action, /* string */ metav
     if (action.metavar) {
         result = action.metavar;
     } else if (action.choices) {
-        result = '{' + action.choices.join(',') + '}';
+        result = '{' + (Array.isArray(action.choices) ? action.choices: Object.keys(action.choices)).join(',') + '}';
     } else {
         result = metavarDefault;
     }
+
+    // delimited values are shown as METAVAR[,METAVAR...]
+    if (action.delimiter !== undefined) {
+        result = [].concat(result).map(function (metavar) {
+            return metavar + '[' + action.delimiter + metavar + '...]';
+        });
+        result = Array.isArray(action.metavar) ? result: result[0];
+    }
     return function (size) {
         if (Array.isArray(result)) {
             return result;
@@ -684,15 +929,27 @@ HelpFormatter.prototype._formatArgs = function (action, /* string */ metavarDefa
         result = '[' + metavars[0] + ']';
     } else if (action.nargs === ZERO_OR_MORE) {
         metavars = buildMetavar(2);
-        result = '[' + metavars[0] + '[' + metavars[1] + ' ...]]';
+        result = '[' + metavars[0] + ' [' + metavars[1] + ' ...]]';
     } else if (action.nargs === ONE_OR_MORE) {
         metavars = buildMetavar(2);
-        result = '' + metavars[0] + '[' + metavars[1] + ' ...]';
+        result = '' + metavars[0] + ' [' + metavars[1] + ' ...]';
     } else if (action.nargs === REMAINDER) {
         result = '...';
     } else if (action.nargs === PARSER) {
         metavars = buildMetavar(1);
         result = metavars[0] + ' ...';
+    } else if ($nargsRange(action.nargs) !== undefined) {
+        // required values, then the optional tail: X Y [Z [W]] or X [Y ...]
+        metavars = buildMetavar(action.nargs.max !== undefined ? action.nargs.max: action.nargs.min + 1);
+        if (action.nargs.max === undefined) {
+            result = '[' + metavars[action.nargs.min] + ' ...]';
+        } else {
+            result = '';
+            for (var i = action.nargs.max - 1; i >= action.nargs.min; i -= 1) {
+                result = '[' + metavars[i] + (result ? ' ' + result: '') + ']';
+            }
+        }
+        result = metavars.slice(0, action.nargs.min).concat(result ? [result]: []).join(' ');
     } else {
         metavars = buildMetavar(action.nargs);
         result = metavars.join(' ');
@@ -701,14 +958,15 @@ HelpFormatter.prototype._formatArgs = function (action, /* string */ metavarDefa
 };
 
 HelpFormatter.prototype._expandHelp = function (action) {
-    var params = {},
+    var help,
+        params = {},
         actionProperty,
         actionValue;
     params.program = this.program;
 
     for (actionProperty in action) {
         if (action.hasOwnProperty(actionProperty)) {
-            actionValue = params[actionProperty];
+            actionValue = action[actionProperty];
 
             if (actionValue !== SUPPRESS) {
                 params[actionProperty] = actionValue;
@@ -716,7 +974,7 @@ HelpFormatter.prototype._expandHelp = function (action) {
         }
     }
 
-    if (params.choices) {
+    if (Array.isArray(params.choices)) {
         params.choices = params.choices.join(', ');
     }
 
@@ -725,39 +983,68 @@ HelpFormatter.prototype._expandHelp = function (action) {
      * params[name] = params[name].__name__
      */
 
-    return $stringPrint(this._getHelpString(action), params);
+    help = this._getHelpString(action);
+    return help !== undefined ? $stringPrint(help, params): undefined;
 };
 
 HelpFormatter.prototype._splitLines = function (/* string */ text, /* int */ width) {
     var lines = [],
-        wrapped;
+        line = '';
 
-    text = text.replace(this._regexpWhitespace, ' ');
     text = $stringStrip(text);
-    text.split(EOL).forEach(function (line) {
-        var wrapStart = 0;
-        var wrapEnd = width;
-        while (wrapStart < line.length) {
-            wrapped = line.split(wrapStart, wrapEnd);
-            lines.push(wrapped);
-            wrapStart += width;
-            wrapEnd += width;
+    if (!text) {
+        return lines;
+    }
+
+    // wrap the words of the text into lines of at most width characters
+    text.split(this._regexpWhitespace).forEach(function (word) {
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = '';
         }
+        line += (line ? ' ': '') + word;
     });
+    lines.push(line);
 
     return lines;
 };
 
 HelpFormatter.prototype._fillText = function (/* string */ text, /* int */ width, /* string */ indent) {
     var lines = this._splitLines(text, width);
-    lines.forEach(function (line) {
-        line = indent + line;
-    });
-    return lines.join(EOL);
+    return lines.map(function (line) {
+        return indent + line;
+    }).join(EOL);
 };
 
 HelpFormatter.prototype._getHelpString = function (action) {
-    return action.help;
+    var help = action.help,
+        list = function (object) {
+            return Object.keys(object).map(function (key) {
+                return key + '=' + [].concat(object[key]).join('|');
+            }).join(', ');
+        },
+        annotate = function (annotation) {
+            help = (help !== undefined ? help + ' ': '') + '(' + annotation + ')';
+        };
+
+    // show the constraints of the argument, even without help
+    if (action.requires !== undefined) {
+        annotate('requires: ' + action.requires.join(', '));
+    }
+    if (action.conflicts !== undefined) {
+        annotate('conflicts with: ' + action.conflicts.join(', '));
+    }
+    if (action.implies !== undefined) {
+        annotate('implies: ' + list(action.implies));
+    }
+    if (action.requiredIf !== undefined) {
+        annotate('required if: ' + list(action.requiredIf));
+    }
+    // show the environment variable the argument may be read from
+    if (action.env && (help === undefined || help.indexOf('%env%') < 0)) {
+        annotate('env: %env%');
+    }
+    return help;
 };
 
 /**
@@ -775,10 +1062,9 @@ util.inherits(HelpFormatterRawDescription, HelpFormatter);
 
 HelpFormatterRawDescription.prototype._fillText = function (text, width, indent) {
     var lines = text.split(EOL);
-    lines.forEach(function (line) {
-        line = indent + line;
-    });
-    return lines.join(EOL);
+    return lines.map(function (line) {
+        return indent + line;
+    }).join(EOL);
 };
 
 /**
@@ -812,11 +1098,11 @@ function HelpFormatterArgumentDefaults(options) {
 util.inherits(HelpFormatterArgumentDefaults, HelpFormatter);
 
 HelpFormatterArgumentDefaults.prototype._getHelpString = function (action) {
-    var help = action.help;
-    if (action.help.indexOf('%(default)') < 0) {
-        if (action.defaultValue !== SUPPRESS) {
-            if (action.isOptional() || [OPTIONAL, ZERO_OR_MORE].indexOf(action.nargs) < 0) {
-                help += ' (default: %(default)s)';
+    var help = HelpFormatter.prototype._getHelpString.call(this, action);
+    if (help !== undefined && help.indexOf('%defaultValue%') < 0) {
+        if (action.defaultValue !== SUPPRESS && action.defaultValue !== undefined) {
+            if (action.optionStrings.length > 0 || [OPTIONAL, ZERO_OR_MORE].indexOf(action.nargs) >= 0) {
+                help += ' (default: %defaultValue%)';
             }
         }
     }
@@ -824,6 +1110,250 @@ HelpFormatterArgumentDefaults.prototype._getHelpString = function (action) {
 };
 
 
+/**
+ * Help message formatter producing Markdown reference documentation: the
+ * usage in a code block, the argument groups as tables (flags, metavar,
+ * default, choices, help) and the commands as links to their sections,
+ * nested after the help. The width doesn't depend on the terminal so that
+ * the output is stable. Only the name of this class is considered a public
+ * API. All the methods provided by the class are considered an
+ * implementation detail.
+ *
+ * @constructor
+ * @extends HelpFormatter
+ */
+function HelpFormatterMarkdown(options) {
+    options = options || {};
+    HelpFormatter.call(this, options);
+
+    this.width = options.width || 78;
+    this.level = options.level || 1;
+    this.recursive = true;
+    this._subparserActions = [];
+}
+util.inherits(HelpFormatterMarkdown, HelpFormatter);
+
+HelpFormatterMarkdown.prototype.addArgument = function (action) {
+    return this.addArguments([action]);
+};
+
+HelpFormatterMarkdown.prototype.addArguments = function (/* array */ actions) {
+    var self = this,
+        rows = [];
+
+    actions.forEach(function (action) {
+        if (action.help === SUPPRESS) {
+            return;
+        }
+        if (action.commands !== undefined) {
+            this._subparserActions.push(action);
+            this._addItem(function () {
+                return self._formatCommands(action.commands.filter(function (command) {
+                    return command.help !== SUPPRESS;
+                }));
+            });
+        } else {
+            rows.push(action);
+        }
+    }, this);
+    if (rows.length > 0) {
+        this._addItem(function () {
+            return self._formatTable([_('Flags'), _('Metavar'), _('Default'), _('Choices'), _('Help')], rows.map(function (action) {
+                return self._getRow(action);
+            }));
+        });
+    }
+    return this;
+};
+
+/**
+ * Return the help of the parser under its title, followed by the help of each
+ * command, one level deeper
+ */
+HelpFormatterMarkdown.prototype.render = function (parser) {
+    var parts = [this._formatTitle(), HelpFormatter.prototype.render.call(this, parser)];
+
+    this._subparserActions.forEach(function (action) {
+        action.commands.forEach(function (command) {
+            if (command.parser !== undefined && command.help !== SUPPRESS) {
+                parts.push(new this.constructor({
+                    program: command.parser.program,
+                    level: this.level + 1,
+                    width: this.width
+                }).render(command.parser));
+            }
+        }, this);
+    }, this);
+    return parts.join(EOL);
+};
+
+/**
+ * Return the cells of the table row of the action
+ */
+HelpFormatterMarkdown.prototype._getRow = function (action) {
+    var choices = action.choices,
+        defaultValue = action.defaultValue,
+        help = this._expandHelp(action);
+
+    if (choices !== undefined && !Array.isArray(choices)) {
+        choices = Object.keys(choices);
+    }
+    if (defaultValue === undefined || defaultValue === null || defaultValue === SUPPRESS) {
+        defaultValue = [];
+    }
+    return [
+        this._formatCodes(action.optionStrings),
+        this._formatCodes(action.nargs === 0 ? []: [this._formatArgs(action, action.optionStrings.length > 0 ?
+            action.destination.toUpperCase(): action.destination)]),
+        this._formatCodes([].concat(defaultValue)),
+        this._formatCodes(choices || []),
+        help !== undefined ? this._escape(help): ''
+    ];
+};
+
+HelpFormatterMarkdown.prototype._getAnchor = function (program) {
+    return $stringStrip(String(program).toLowerCase().replace(/[^a-z0-9]+/g, '-'), '-');
+};
+
+/**
+ * Return the text on a single line, for a table cell, with "<", ">" and "&"
+ * escaped so that they are not read as HTML
+ */
+HelpFormatterMarkdown.prototype._escape = function (text) {
+    return this._escapeHtml(this._escapeCode(text));
+};
+
+/**
+ * Return the text on a single line, for a code span of a table cell
+ */
+HelpFormatterMarkdown.prototype._escapeCode = function (text) {
+    return String(text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+};
+
+HelpFormatterMarkdown.prototype._escapeHtml = function (text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+HelpFormatterMarkdown.prototype._formatTitle = function () {
+    return '<a id="' + this._getAnchor(this.program) + '"></a>' + EOL + EOL +
+        $stringRepeat('#', Math.min(this.level, 6)) + ' ' + this._escape(this.program) + EOL;
+};
+
+HelpFormatterMarkdown.prototype._formatHeading = function (heading) {
+    return $stringRepeat('#', Math.min(this.level + 1, 6)) + ' ' + this._escape(heading) + EOL + EOL;
+};
+
+HelpFormatterMarkdown.prototype._formatUsage = function (usage, actions, groups, prefix) {
+    usage = HelpFormatter.prototype._formatUsage.call(this, usage, actions, groups, prefix);
+    return '```' + EOL + $stringStrip(usage, EOL) + EOL + '```' + EOL + EOL;
+};
+
+HelpFormatterMarkdown.prototype._formatText = function (text) {
+    return this._escapeHtml($stringStrip($stringPrint(text, {program: this.program}))) + EOL + EOL;
+};
+
+HelpFormatterMarkdown.prototype._formatCodes = function (values) {
+    return values.map(function (value) {
+        return '`' + this._escapeCode(value) + '`';
+    }, this).join(', ');
+};
+
+HelpFormatterMarkdown.prototype._formatTable = function (header, rows) {
+    var formatRow = function (cells) {
+        return '| ' + cells.join(' | ') + ' |';
+    };
+    return [formatRow(header), formatRow(header.map(function () {
+        return '---';
+    }))].concat(rows.map(formatRow)).join(EOL) + EOL + EOL;
+};
+
+HelpFormatterMarkdown.prototype._formatCommands = function (commands) {
+    return commands.map(function (command) {
+        var name = this._formatCodes([command.name]);
+        if (command.parser !== undefined) {
+            name = '[' + name + '](#' + this._getAnchor(command.parser.program) + ')';
+        }
+        if (command.aliases.length > 0) {
+            name += ' (' + this._formatCodes(command.aliases) + ')';
+        }
+        return '- ' + name + (command.help !== undefined ? ': ' + this._escape(command.help): '');
+    }, this).join(EOL) + EOL + EOL;
+};
+
+/**
+ * Help message formatter producing HTML reference documentation, like
+ * HelpFormatterMarkdown. Only the name of this class is considered a public
+ * API. All the methods provided by the class are considered an
+ * implementation detail.
+ *
+ * @constructor
+ * @extends HelpFormatterMarkdown
+ */
+function HelpFormatterHtml(options) {
+    HelpFormatterMarkdown.call(this, options);
+}
+util.inherits(HelpFormatterHtml, HelpFormatterMarkdown);
+
+HelpFormatterHtml.prototype._escape = function (text) {
+    return String(text).replace(/\s*\n\s*/g, ' ').replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+HelpFormatterHtml.prototype._formatTitle = function () {
+    var level = Math.min(this.level, 6);
+    return '<h' + level + ' id="' + this._getAnchor(this.program) + '">' + this._escape(this.program) +
+        '</h' + level + '>' + EOL;
+};
+
+HelpFormatterHtml.prototype._formatHeading = function (heading) {
+    var level = Math.min(this.level + 1, 6);
+    return '<h' + level + '>' + this._escape(heading) + '</h' + level + '>' + EOL;
+};
+
+HelpFormatterHtml.prototype._formatUsage = function (usage, actions, groups, prefix) {
+    usage = HelpFormatter.prototype._formatUsage.call(this, usage, actions, groups, prefix);
+    return '<pre><code>' + $stringStrip(usage, EOL).split(EOL).map(this._escape, this).join(EOL) +
+        '</code></pre>' + EOL + EOL;
+};
+
+HelpFormatterHtml.prototype._formatText = function (text) {
+    return $stringStrip($stringPrint(text, {program: this.program})).split(/\n\s*\n/).map(function (paragraph) {
+        return '<p>' + this._escape(paragraph) + '</p>';
+    }, this).join(EOL) + EOL + EOL;
+};
+
+HelpFormatterHtml.prototype._formatCodes = function (values) {
+    return values.map(function (value) {
+        return '<code>' + this._escape(value) + '</code>';
+    }, this).join(', ');
+};
+
+HelpFormatterHtml.prototype._formatTable = function (header, rows) {
+    var formatRow = function (cells, tag) {
+        return '<tr>' + cells.map(function (cell) {
+            return '<' + tag + '>' + cell + '</' + tag + '>';
+        }).join('') + '</tr>';
+    };
+    return ['<table>', '<thead>', formatRow(header.map(this._escape, this), 'th'), '</thead>', '<tbody>']
+        .concat(rows.map(function (cells) {
+            return formatRow(cells, 'td');
+        }), ['</tbody>', '</table>']).join(EOL) + EOL + EOL;
+};
+
+HelpFormatterHtml.prototype._formatCommands = function (commands) {
+    return ['<ul>'].concat(commands.map(function (command) {
+        var name = this._formatCodes([command.name]);
+        if (command.parser !== undefined) {
+            name = '<a href="#' + this._getAnchor(command.parser.program) + '">' + name + '</a>';
+        }
+        if (command.aliases.length > 0) {
+            name += ' (' + this._formatCodes(command.aliases) + ')';
+        }
+        return '<li>' + name + (command.help !== undefined ? ': ' + this._escape(command.help): '') + '</li>';
+    }, this), ['</ul>']).join(EOL) + EOL + EOL;
+};
+
+
 /*******************************************************************************
  * Actions classes
  ******************************************************************************/
@@ -846,7 +1376,9 @@ HelpFormatterArgumentDefaults.prototype._getHelpString = function (action) {
  * produces a list) - '+' consumes one or more arguments (and produces a list)
  * Note that the difference between the default and nargs=1 is that with the
  * default, a single value will be produced, while with nargs=1, a list
- * containing a single value will be produced.</li>
+ * containing a single value will be produced. - {min: N, max: M} (or [N, M])
+ * consumes between N and M arguments, or at least N without max (and
+ * produces a list)</li>
  * </ul>
  * <li>constant -- Default value for an action with no value.</li>
  * <li>defaultValue -- The value to be produced if the option is not specified.</li>
@@ -858,6 +1390,24 @@ HelpFormatterArgumentDefaults.prototype._getHelpString = function (action) {
  * <li>help -- The help describing the argument.</li>
  * <li>metavar -- The name to be used for the option's argument with the help
  * string. If None, the 'destination' value will be used as the name.</li>
+ * <li>env -- The environment variable read when the argument is not given on
+ * the command line.</li>
+ * <li>delimiter -- Split each argument string on this delimiter, producing a
+ * list of values (ex: "," reads "a,b" as ['a', 'b']).</li>
+ * <li>requires -- Arguments (option strings or destinations) that must be
+ * given with this one. Like the arguments of the next options, they must be
+ * arguments of the parser, which is checked when parsing.</li>
+ * <li>conflicts -- Arguments that can't be given with this one.</li>
+ * <li>implies -- Values set when this argument is given, by argument (ex:
+ * {'--verbose': true}), unless given too. String values are converted by the
+ * type of the argument.</li>
+ * <li>requiredIf -- Values making this argument required, by argument (ex:
+ * {mode: 'remote'}), a list meaning any of its values.</li>
+ * <li>global -- Accept the optional argument after the subcommands too, at
+ * any depth (ex: "tool remote add --verbose").</li>
+ * <li>completer -- Function (prefix, action, parser) returning the completion
+ * candidates of the argument values, or a promise of them, instead of its
+ * choices (see ArgumentParser.complete).</li>
  * </ul>
  *
  * @constructor
@@ -867,7 +1417,7 @@ function Action(options) {
     options = options || {};
     this.optionStrings = options.optionStrings || [];
     this.destination = options.destination;
-    this.nargs = options.nargs;
+    this.nargs = $nargsRange(options.nargs) || options.nargs;
     this.constant = options.constant;
     this.defaultValue = options.defaultValue;
     this.type = options.type ||  null;
@@ -875,6 +1425,14 @@ function Action(options) {
     this.required = options.required !== undefined ? options.required: false;
     this.help = options.help;
     this.metavar = options.metavar;
+    this.env = options.env;
+    this.delimiter = options.delimiter;
+    this.requires = options.requires !== undefined ? [].concat(options.requires): undefined;
+    this.conflicts = options.conflicts !== undefined ? [].concat(options.conflicts): undefined;
+    this.implies = options.implies;
+    this.requiredIf = options.requiredIf;
+    this.global = options.global || false;
+    this.completer = options.completer;
 
     if (!(this.optionStrings instanceof Array)) {
         throw new Error('optionStrings should be an array');
@@ -882,8 +1440,11 @@ function Action(options) {
     if (this.required !== undefined && typeof(this.required) !== 'boolean') {
         throw new Error('required should be a boolean');
     }
-    if (this.nargs !== undefined && typeof(this.nargs) !== 'number') {
-        throw new Error('nargs should be a number');
+    if (this.completer !== undefined && !$isCallable(this.completer)) {
+        throw new Error('completer should be a function');
+    }
+    if ($nargsError(this.nargs) !== undefined) {
+        throw new Error($nargsError(this.nargs));
     }
 }
 
@@ -935,7 +1496,16 @@ Action.prototype.call = function (parser, namespace, values, optionString) {
 };
 
 /**
- * ActionStore constructor
+ * Return the usage of an optional consuming no argument
+ *
+ * @return {string}
+ */
+Action.prototype.formatUsage = function () {
+    return this.optionStrings[0];
+};
+
+/**
+ * ActionStore constructor
  *
  * @constructor
  * @extends Action
@@ -1038,6 +1608,24 @@ ActionAppend.prototype.call = function (parser, namespace, values, optionString)
 };
 
 
+/**
+ * ActionExtend constructor
+ *
+ * Adds the values of each occurrence one by one, like ActionAppend (ex:
+ * --tags a b --tags c produces ['a', 'b', 'c'] with nargs '+'), under the
+ * name of the Python action.
+ *
+ * @constructor
+ * @extends ActionAppend
+ * @param {object} options
+ */
+function ActionExtend(options) {
+    options = options || {};
+    ActionAppend.call(this, options);
+}
+util.inherits(ActionExtend, ActionAppend);
+
+
 /**
  * ActionAppendConstant constructor
  *
@@ -1067,6 +1655,8 @@ ActionAppendConstant.prototype.call = function (parser, namespace, values, optio
  * @param {object} options
  */
 function ActionCount(options) {
+    options = options || {};
+    options.nargs = 0;
     Action.call(this, options);
 }
 util.inherits(ActionCount, Action);
@@ -1076,6 +1666,56 @@ ActionCount.prototype.call = function (parser, namespace, values, optionString)
 };
 
 
+/**
+ * ActionBooleanOptional constructor
+ *
+ * Stores true, or false when the option string used is a negation. Each long
+ * option string gets a negation made of the negationPrefix option (default:
+ * "no-") and its name (ex: --color and --no-color).
+ *
+ * @constructor
+ * @extends Action
+ * @param {object} options
+ */
+function ActionBooleanOptional(options) {
+    options = options || {};
+    var negationPrefix = options.negationPrefix !== undefined ? options.negationPrefix: 'no-',
+        optionStrings = [],
+        optionStringsNegative = [];
+
+    (options.optionStrings || []).forEach(function (optionString) {
+        var optionStringNegative;
+        optionStrings.push(optionString);
+        if (optionString.length > 2 && optionString[0] === optionString[1]) {
+            optionStringNegative = optionString.substr(0, 2) + negationPrefix + optionString.substr(2);
+            optionStrings.push(optionStringNegative);
+            optionStringsNegative.push(optionStringNegative);
+        }
+    });
+    options.optionStrings = optionStrings;
+    options.nargs = 0;
+    Action.call(this, options);
+
+    this.negationPrefix = negationPrefix;
+    this._optionStringsNegative = optionStringsNegative;
+}
+util.inherits(ActionBooleanOptional, Action);
+
+ActionBooleanOptional.prototype.call = function (parser, namespace, values, optionString) {
+    // without option string, the value comes from the environment or a
+    // configuration file
+    if (optionString === undefined) {
+        namespace.set(this.destination, values[0]);
+    } else {
+        namespace.set(this.destination, this._optionStringsNegative.indexOf(optionString) < 0);
+    }
+};
+
+ActionBooleanOptional.prototype.formatUsage = function () {
+    return this.optionStrings.join(' | ');
+};
+
+
 /**
  * ActionHelp constructor
  *
@@ -1085,7 +1725,7 @@ ActionCount.prototype.call = function (parser, namespace, values, optionString)
  */
 function ActionHelp(options) {
     options = options || {};
-    options.defaulValue = (options.defaultValue !== undefined ? options.defaultValue: SUPPRESS);
+    options.defaultValue = (options.defaultValue !== undefined ? options.defaultValue: SUPPRESS);
     options.destination = (options.destination !== undefined ? options.destination: SUPPRESS);
     options.nargs = 0;
     Action.call(this, options);
@@ -1126,6 +1766,21 @@ ActionVersion.prototype.call = function (parser, namespace, values, optionString
 /**
  * SubparserAction constructor
  *
+ * Options:
+ * <ul>
+ * <li>allowAbbrev -- Accept unambiguous prefixes of the parser names (ex:
+ * "chec" for "checkout").</li>
+ * <li>parserOptions -- Default options of the added parsers.</li>
+ * <li>external -- Run unknown parser names as external commands named
+ * PREFIX-NAME (ex: "git-foo" for "git foo"), found in externalDirectories or
+ * on the PATH. PREFIX is external if a string, the program prefix with
+ * dashes otherwise.</li>
+ * <li>externalDirectories -- Directories searched for external commands
+ * before the PATH.</li>
+ * <li>helpCommand -- Add a "help" parser showing the help of a command path
+ * ("help remote add"), or of all the commands with "--all".</li>
+ * </ul>
+ *
  * @constructor
  * @extends Action
  * @param {object} options
@@ -1138,15 +1793,59 @@ function ActionSubparser(options) {
     this._programPrefix = options.program;
     this._parserClass = options.parserClass;
     this._nameParserMap = {};
+    this._aliasNameMap = {};
+    this._parsersLazy = [];
     this._choicesActions = [];
+    this._parserOptions = (options.parserOptions || {});
+    this.allowAbbrev = (options.allowAbbrev || false);
+    this.external = (options.external || false);
+    this.externalDirectories = (options.externalDirectories || []);
+    this._externalCommands = undefined;
+    this.helpCommand = (options.helpCommand || false);
+    this._helpParser = undefined;
 
     options.choices = this._nameParserMap;
     Action.call(this, options);
 }
 util.inherits(ActionSubparser, Action);
 
+/**
+ * Add a parser named name and return it. Options are the parser options,
+ * plus:
+ * <ul>
+ * <li>help -- The help of the parser in the list of parsers.</li>
+ * <li>aliases -- Other names of the parser (ex: ['co'] for "checkout").</li>
+ * <li>load -- Function defining the arguments of the parser, called with the
+ * parser only when it is needed (selected, or for the full help). It may
+ * return a function called with the parser (ex: a module exporting one) or
+ * the parser to use instead. Nothing is returned then, as the parser does
+ * not exist yet: its arguments are defined by load only, and chaining calls
+ * (ex: addParser(...).addArgument(...)) is not possible.</li>
+ * </ul>
+ *
+ * @param {string} name
+ * @param {object} options
+ * @return {ArgumentParser} the parser, or undefined with load
+ */
 ActionSubparser.prototype.addParser = function (name, options) {
-    var parser, help, choiceAction;
+    var parser, help, aliases, load, choiceAction;
+
+    options = options || {};
+    aliases = (options.aliases || []);
+    load = options.load;
+    delete options.aliases;
+    delete options.load;
+    for (var key in this._parserOptions) {
+        if (this._parserOptions.hasOwnProperty(key) && options[key] === undefined) {
+            options[key] = this._parserOptions[key];
+        }
+    }
+
+    [name].concat(aliases).forEach(function (alias) {
+        if (this._nameParserMap.hasOwnProperty(alias)) {
+            throw new Error($stringPrint(_('Conflicting parser name "%name%".'), {name: alias}));// ValueError
+        }
+    }, this);
 
     // set program from the existing prefix
     if (options.program === undefined) {
@@ -1158,54 +1857,452 @@ ActionSubparser.prototype.addParser = function (name, options) {
         help = options.help;
         delete options.help;
 
-        choiceAction = this._ChoicesPseudoAction(name, help);
+        choiceAction = this._ChoicesPseudoAction(name, aliases, help);
         this._choicesActions.push(choiceAction);
     }
 
-    // create the parser and add it to the map
-    parser = new this._parserClass(options);
+    // create the parser, or what loads it (see _getParser), and add it to
+    // the map, with its aliases
+    if (load !== undefined) {
+        parser = {options: options, load: load};
+        this._parsersLazy.push(parser);
+    } else {
+        parser = this._createParser(options);
+    }
     this._nameParserMap[name] = parser;
+    aliases.forEach(function (alias) {
+        this._nameParserMap[alias] = parser;
+        this._aliasNameMap[alias] = name;
+    }, this);
+    return load !== undefined ? undefined: parser;
+};
+
+ActionSubparser.prototype._createParser = function (options, load) {
+    var parser = new this._parserClass(options),
+        result;
+
+    if (load !== undefined) {
+        result = load(parser);
+        if (typeof(result) === 'function') {
+            result(parser);
+        } else if (result instanceof ArgumentParser) {
+            parser = result;
+        }
+    }
+
+    // with the global arguments of the parent parser
+    if (this._parentParser !== undefined) {
+        this._parentParser._actions.forEach(function (action) {
+            if (action.global) {
+                parser._addActionInherited(action);
+            }
+        });
+    }
+    return parser;
+};
+
+/**
+ * Return the parser named name, loading it if needed
+ *
+ * @param {string} name
+ * @return {ArgumentParser}
+ */
+ActionSubparser.prototype._getParser = function (name) {
+    var lazy = this._nameParserMap[name],
+        parser;
+
+    if (this._parsersLazy.indexOf(lazy) < 0) {
+        return lazy;
+    }
+    parser = this._createParser(lazy.options, lazy.load);
+    for (var parserName in this._nameParserMap) {
+        if (this._nameParserMap[parserName] === lazy) {
+            this._nameParserMap[parserName] = parser;
+        }
+    }
+    this._parsersLazy.splice(this._parsersLazy.indexOf(lazy), 1);
     return parser;
 };
 
-ActionSubparser.prototype._getSubactions = function () {
-    return this._choicesActions;
+/**
+ * Return the parsers (without the aliases), loading them if load is true,
+ * the parsers not loaded yet being skipped otherwise
+ *
+ * @param {boolean} load
+ * @return {Array}
+ */
+ActionSubparser.prototype._getParsers = function (load) {
+    var parsers = [];
+    Object.keys(this._nameParserMap).forEach(function (name) {
+        var parser = this._nameParserMap[name];
+        if (this._parsersLazy.indexOf(parser) >= 0) {
+            if (!load) {
+                return;
+            }
+            parser = this._getParser(name);
+        }
+        if (parsers.indexOf(parser) < 0) {
+            parsers.push(parser);
+        }
+    }, this);
+    return parsers;
+};
+
+ActionSubparser.prototype._ChoicesPseudoAction = function (name, aliases, help) {
+    return new Action({
+        optionStrings: [],
+        destination: name,
+        metavar: aliases.length > 0 ? name + ' (' + aliases.join(', ') + ')': name,
+        help: help
+    });
+};
+
+/**
+ * Return the external commands (see the external option) by name, the first
+ * found in externalDirectories then in the PATH directories winning
+ *
+ * @return {object} {name: file}
+ */
+ActionSubparser.prototype._getExternalCommands = function () {
+    var prefix,
+        directories;
+
+    if (!this.external) {
+        return {};
+    }
+    if (this._externalCommands !== undefined) {
+        return this._externalCommands;
+    }
+
+    prefix = (typeof(this.external) === 'string' ? this.external: this._programPrefix.split(' ').join('-')) + '-';
+    directories = this.externalDirectories.concat((process.env.PATH || '').split(path.delimiter));
+    this._externalCommands = {};
+    directories.forEach(function (directory) {
+        var files = [];
+        try {
+            files = fs.readdirSync(directory || '.');
+        } catch (e) {
+            // missing directories are skipped
+        }
+        files.sort().forEach(function (file) {
+            var name = file,
+                filePath = path.resolve(directory || '.', file);
+
+            if (process.platform === 'win32') {
+                name = name.replace(/\.(exe|cmd|bat|com)$/i, '');
+            }
+            if (name.indexOf(prefix) !== 0 || name.length === prefix.length ||
+                this._externalCommands.hasOwnProperty(name.substr(prefix.length))
+            ) {
+                return;
+            }
+            try {
+                if (!fs.statSync(filePath).isFile()) {
+                    return;
+                }
+                if (process.platform !== 'win32') {
+                    fs.accessSync(filePath, fs.X_OK);
+                }
+            } catch (e) {
+                return;
+            }
+            this._externalCommands[name.substr(prefix.length)] = filePath;
+        }, this);
+    }, this);
+    return this._externalCommands;
+};
+
+/**
+ * Return the parser name matching name: the name itself or one of its
+ * aliases, or the only name name is a prefix of if allowAbbrev is set.
+ * Unknown names are reported with the closest names.
+ *
+ * @param {string} name
+ * @return {string}
+ */
+ActionSubparser.prototype._getParserName = function (name) {
+    var externalCommands,
+        names = Object.keys(this._nameParserMap),
+        matches,
+        parsers = [],
+        distances,
+        distanceMin,
+        message;
+
+    // the parsers are matched first, the external commands being looked up
+    // (in the PATH) only when needed
+    if (this._nameParserMap.hasOwnProperty(name)) {
+        return name;
+    }
+
+    // external commands don't replace the parsers
+    externalCommands = this._getExternalCommands();
+    names = names.concat(Object.keys(externalCommands).filter(function (parserName) {
+        return names.indexOf(parserName) < 0;
+    }));
+
+    if (names.indexOf(name) >= 0) {
+        return name;
+    }
+
+    // prefixes of a single parser (or of its aliases) are accepted
+    if (this.allowAbbrev) {
+        matches = names.filter(function (parserName) {
+            return parserName.indexOf(name) === 0;
+        });
+        matches.forEach(function (parserName) {
+            var parser = this._nameParserMap.hasOwnProperty(parserName) ?
+                this._nameParserMap[parserName]: externalCommands[parserName];
+            if (parsers.indexOf(parser) < 0) {
+                parsers.push(parser);
+            }
+        }, this);
+        if (parsers.length === 1) {
+            return matches[0];
+        }
+        if (parsers.length > 1) {
+            throw new ArgumentError(this, $stringPrint(_('Ambiguous parser "%name%" could match %names%.'), {
+                name: name,
+                names: matches.join(', ')
+            }), 'AMBIGUOUS_CHOICE');
+        }
+    }
+
+    // suggest the closest names, if close enough
+    distances = names.map(function (parserName) {
+        return $stringDistance(name, parserName);
+    });
+    distanceMin = Math.min.apply(Math, distances);
+    matches = names.filter(function (parserName, index) {
+        return distances[index] === distanceMin && distanceMin <= Math.max(1, Math.floor(parserName.length / 3));
+    });
+    if (matches.length > 0) {
+        message = $stringPrint(_('Unknown parser "%name%", did you mean %suggestions%? (choices: [%choices%]).'), {
+            name: name,
+            suggestions: '"' + matches.join('" or "') + '"',
+            choices: names.join(', ')
+        });
+    } else {
+        message = $stringPrint(_('Unknown parser "%name%" (choices: [%choices%]).'), {
+            name: name,
+            choices: names.join(', ')
+        });
+    }
+    throw new ArgumentError(this, message, 'INVALID_CHOICE');
 };
 
 ActionSubparser.prototype.call = function (parser, namespace, values, optionString) {
-    var parserName = values[0];
+    var parserName = this._getParserName(values[0]);
     var argStrings = values.slice(1);
 
-    // set the parser name if requested
+    // set the parser name if requested (aliases give the name)
     if (this.destination !== SUPPRESS) {
-        namespace[this.destination] = parserName;
+        namespace.set(this.destination, this._aliasNameMap[parserName] || parserName);
     }
 
-    // select the parser
-    if (this._nameParserMap[parserName] !== undefined) {
-        parser = this._nameParserMap[parserName];
-    } else {
-        var message = $stringPrint(
-            _('Unknown parser "%name%" (choices: [%choices%]).', {
-                name: parserName,
-                choices: this._nameParserMap.join(', ')
-            })
-        );
-        throw new ArgumentError(this, message);
+    // run an external command with the remaining arguments, and exit with
+    // its status (see _runExternalCommand)
+    if (!this._nameParserMap.hasOwnProperty(parserName)) {
+        this._runExternalCommand(parser, this._getExternalCommands()[parserName], argStrings);
+        return;
+    }
+
+    // parse all the remaining options into the namespace, remembering the
+    // selected parser (see run) and the unrecognized arguments, reported by
+    // the parser. When parsing asynchronously, the parsing steps of the
+    // subparser follow the ones of the parser (see parseArgsAsync).
+    var subparser = this._getParser(parserName);
+    if (subparser === this._helpParser) {
+        this._callHelp(parser, argStrings);
+        return;
+    }
+    parser._subparserSelected = subparser;
+    subparser._errorsCollected = parser._errorsCollected;
+    subparser._pending = parser._pending;
+    try {
+        parser._subparserExtras = subparser.parseArgsKnown(argStrings, namespace)[1];
+    } finally {
+        if (subparser._pending !== undefined) {
+            parser._pending = subparser._pending;
+        }
+        delete subparser._errorsCollected;
+        delete subparser._pending;
+    }
+};
+
+/**
+ * Return the description of the commands (see ArgumentParser.describe):
+ * [{name, aliases, help, external, parser}], the description of the parser
+ * being left out if not recursive
+ *
+ * @param {boolean} recursive
+ * @return {Array}
+ */
+ActionSubparser.prototype._describeCommands = function (recursive) {
+    var commands = [];
+
+    Object.keys(this._nameParserMap).forEach(function (name) {
+        var command = {name: name, aliases: [], help: undefined, external: false};
+
+        if (this._aliasNameMap.hasOwnProperty(name)) {
+            return;
+        }
+        this._choicesActions.forEach(function (choiceAction) {
+            if (choiceAction.destination === name) {
+                command.help = choiceAction.help;
+            }
+        });
+        for (var alias in this._aliasNameMap) {
+            if (this._aliasNameMap[alias] === name) {
+                command.aliases.push(alias);
+            }
+        }
+        if (recursive) {
+            command.parser = this._getParser(name).describe();
+        }
+        commands.push(command);
+    }, this);
+    Object.keys(this._getExternalCommands()).forEach(function (name) {
+        if (!this._nameParserMap.hasOwnProperty(name)) {
+            commands.push({name: name, aliases: [], help: _('external command'), external: true});
+        }
+    }, this);
+    return commands;
+};
+
+ActionSubparser.prototype._addHelpParser = function () {
+    this._helpParser = this.addParser('help', {help: _('Show the help of a command.')});
+    this._helpParser.addArgument(['command'], {
+        nargs: '*',
+        metavar: 'COMMAND',
+        help: _('Command path (ex: "remote add").')
+    });
+    this._helpParser.addArgument(['--all'], {
+        action: 'storeTrue',
+        help: _('Show the help of all the commands.')
+    });
+};
+
+/**
+ * Print the help of the command path given to the help parser, from parser,
+ * and exit. External commands are run with --help (see _runExternalCommand).
+ *
+ * @param {ArgumentParser} parser
+ * @param {Array} argStrings
+ */
+ActionSubparser.prototype._callHelp = function (parser, argStrings) {
+    var namespace,
+        external,
+        target = parser;
+
+    this._helpParser._errorsCollected = parser._errorsCollected;
+    try {
+        namespace = this._helpParser.parseArgs(argStrings);
+    } finally {
+        delete this._helpParser._errorsCollected;
+    }
+
+    external = !namespace.command.every(function (name, nameIndex) {
+        var action = target._getActionSubparser(),
+            parserName;
+
+        if (action === undefined) {
+            throw new ArgumentError('command', $stringPrint(_('Unknown command "%name%".'), {
+                name: namespace.command.slice(0, nameIndex + 1).join(' ')
+            }), 'INVALID_CHOICE');
+        }
+        parserName = action._getParserName(name);
+        if (!action._nameParserMap.hasOwnProperty(parserName)) {
+            action._runExternalCommand(parser, action._getExternalCommands()[parserName], ['--help']);
+            return false;
+        }
+        target = action._getParser(parserName);
+        return true;
+    }, this);
+    if (external) {
+        return;
     }
 
-    // parse all the remaining options into the namespace
-    parser.parseArgs(argStrings, namespace);
+    parser._printMessage(namespace.all ? target._formatHelpAll(): target.formatHelp(), parser.stdout);
+    parser.exit();
 };
 
+/**
+ * Return the help pseudo actions of the commands of this parsers action and
+ * of their own commands, indented by depth. The parsers found are pushed to
+ * parsers.
+ *
+ * @param {string} indent
+ * @param {Array} parsers
+ * @return {Array}
+ */
+ActionSubparser.prototype._getCommandsTree = function (indent, parsers) {
+    var actions = [],
+        externalCommands = this._getExternalCommands();
+
+    Object.keys(this._nameParserMap).concat(Object.keys(externalCommands)).forEach(function (name) {
+        var help = '',
+            aliases = [],
+            action,
+            parser;
+
+        if (this._aliasNameMap.hasOwnProperty(name) || this._nameParserMap[name] === this._helpParser ||
+            actions.some(function (action) { return action.destination === name; })
+        ) {
+            return;
+        }
+        if (!this._nameParserMap.hasOwnProperty(name)) {
+            actions.push(this._ChoicesPseudoAction(indent + name, [], _('external command')));
+            return;
+        }
+
+        this._choicesActions.forEach(function (choiceAction) {
+            if (choiceAction.destination === name) {
+                help = choiceAction.help;
+            }
+        });
+        for (var alias in this._aliasNameMap) {
+            if (this._aliasNameMap[alias] === name) {
+                aliases.push(alias);
+            }
+        }
+        action = this._ChoicesPseudoAction(name, aliases, help);
+        action.metavar = indent + action.metavar;
+        actions.push(action);
+
+        parser = this._getParser(name);
+        parsers.push(parser);
+        if (parser._getActionSubparser() !== undefined) {
+            actions = actions.concat(parser._getActionSubparser()._getCommandsTree(indent + '  ', parsers));
+        }
+    }, this);
+    return actions;
+};
 
-/*
- * class _ChoicesPseudoAction(Action):
+/**
+ * Run the external command file with argStrings and exit with its status.
+ * When the errors are collected (see safeParse) or the args are parsed
+ * asynchronously, the command is only recorded in parser, and left to the
+ * caller (see getExternalCommand).
  *
- * def __init__(this, name, help): sup =
- * super(ActionSubparser._ChoicesPseudoAction, this)
- * sup.__init__(optionStrings=[], dest=name, help=help)
+ * @param {ArgumentParser} parser
+ * @param {string} file
+ * @param {Array} argStrings
  */
+ActionSubparser.prototype._runExternalCommand = function (parser, file, argStrings) {
+    var result;
+
+    if (parser._errorsCollected !== undefined || parser._pending !== undefined) {
+        parser._externalSelected = {file: file, args: argStrings};
+        return;
+    }
+    result = childProcess.spawnSync(file, argStrings, {stdio: 'inherit'});
+    if (result.error !== undefined) {
+        parser.error(1, $stringPrint(_('Cannot run "%file%": %message%'), {file: file, message: result.error.message}));
+    }
+    parser.exit(result.status !== null ? result.status: 1);
+};
+
 
 /**
  * Simple object for storing attributes. Implements equality by attribute names
@@ -1252,11 +2349,68 @@ Namespace.prototype.set = function (key, value) {
             this[key] = value;
         } else {
             delete this[key];
+            this.setSource(key, undefined);
         }
     }
     return this;
 };
 
+/**
+ * Set where the value of the property key comes from, as an object
+ * {source: source, ...} where source is one of:
+ * <ul>
+ * <li>"default" -- the default value of the argument</li>
+ * <li>"parserDefault" -- a default set by setDefaults()</li>
+ * <li>"config" -- a configuration file (file)</li>
+ * <li>"env" -- an environment variable (env)</li>
+ * <li>"implied" -- implied by another argument (argument)</li>
+ * <li>"file" -- a file of arguments (file, index, optionString)</li>
+ * <li>"cli" -- the command line (index, optionString)</li>
+ * </ul>
+ * index being the index of the argument string in the command line.
+ *
+ * @param {string} key
+ * @param {object} source
+ * @return this
+ */
+Namespace.prototype.setSource = function (key, source) {
+    if (this._sources === undefined) {
+        // not enumerable, so not a property of the namespace
+        Object.defineProperty(this, '_sources', {value: {}, writable: true});
+    }
+    if (source !== undefined) {
+        this._sources[key] = source;
+    } else {
+        delete this._sources[key];
+    }
+    return this;
+};
+
+/**
+ * Return where the value of the property key comes from (see setSource)
+ *
+ * @param {string} key
+ * @return {object}
+ */
+Namespace.prototype.sourceOf = function (key) {
+    return this._sources !== undefined && this.isset(key) ? this._sources[key]: undefined;
+};
+
+/**
+ * Return an object containing where each value comes from, by key
+ *
+ * @return {object}
+ */
+Namespace.prototype.sources = function () {
+    var sources = {};
+    this.keys().forEach(function (key) {
+        if (this.sourceOf(key) !== undefined) {
+            sources[key] = this.sourceOf(key);
+        }
+    }.bind(this));
+    return sources;
+};
+
 /**
  * Return the property key or defaulValue if not set
  *
@@ -1280,6 +2434,7 @@ Namespace.prototype.unset = function (key, defaultValue) {
     var value = this[key];
     if (value !== undefined) {
         delete this[key];
+        this.setSource(key, undefined);
         return value;
     } else {
         return defaultValue;
@@ -1330,6 +2485,7 @@ function ActionContainer(options) {
     this.argumentDefault = options.argumentDefault;
     this.prefixChars = options.prefixChars || '';
     this.conflictHandler = options.conflictHandler || 'error';
+    this.envPrefix = options.envPrefix;
 
     // set up registries
     this._registries = {};
@@ -1341,8 +2497,10 @@ function ActionContainer(options) {
     this.register('action', 'storeTrue', ActionStoreTrue);
     this.register('action', 'storeFalse', ActionStoreFalse);
     this.register('action', 'append', ActionAppend);
+    this.register('action', 'extend', ActionExtend);
     this.register('action', 'appendConstant', ActionAppendConstant);
     this.register('action', 'count', ActionCount);
+    this.register('action', 'booleanOptional', ActionBooleanOptional);
     this.register('action', 'help', ActionHelp);
     this.register('action', 'version', ActionVersion);
     this.register('action', 'parsers', ActionSubparser);
@@ -1357,6 +2515,8 @@ function ActionContainer(options) {
     // groups
     this._actionGroups = [];
     this._actionGroupsMutex = [];
+    this._actionGroupsInclusive = [];
+    this._actionGroupsCount = [];
 
     // defaults storage
     this._defaults = {};
@@ -1380,6 +2540,12 @@ ActionContainer.prototype.register = function (registryName, value, object) {
 ActionContainer.prototype._registryGet = function (registryName, value, defaultValue) {
     return this._registries[registryName][value] || defaultValue;
 };
+ActionContainer.prototype._registryName = function (registryName, object) {
+    var registry = this._registries[registryName];
+    return Object.keys(registry).filter(function (value) {
+        return value !== 'null' && registry[value] === object;
+    })[0];
+};
 
 /**
  * Namespace default accessor methods
@@ -1395,18 +2561,20 @@ ActionContainer.prototype.setDefaults = function (options) {
     // if these defaults match any existing arguments, replace the previous
     // default on the object with the new one
     this._actions.forEach(function (action) {
-        if (options.indexOf(action.destination) >= 0) {
+        if (options.hasOwnProperty(action.destination)) {
             action.defaultValue = options[action.destination];
         }
     });
 };
 
 ActionContainer.prototype.getDefault = function (destination) {
-    this._actions.forEach(function (action) {
+    var actionIndex, action;
+    for (actionIndex = 0; actionIndex < this._actions.length; actionIndex += 1) {
+        action = this._actions[actionIndex];
         if (action.destination === destination && action.defaultValue !== undefined) {
             return action.defaultValue;
         }
-    });
+    }
     return this._defaults[destination];
 };
 
@@ -1423,11 +2591,11 @@ ActionContainer.prototype.addArgument = function (args, kwargs) {
 
     // if no positional args are supplied or only one is supplied and
     // it doesn't look like an option string, parse a positional argument
-    if (!args || args.length === 1 && this.prefixChars.indexOf(args[0][0]) < 0) {
-        if (args && kwargs.destination !== undefined) {
+    if (args.length === 0 || args.length === 1 && this.prefixChars.indexOf(args[0][0]) < 0) {
+        if (args.length > 0 && kwargs.destination !== undefined) {
             throw new Error('destination supplied twice for positional argument');// ValueError
         }
-        kwargs = this._getPositionalKwargs(args, kwargs);
+        kwargs = this._getPositionalKwargs(args.length > 0 ? args[0] : kwargs.destination, kwargs);
 
         // otherwise, we're adding an optional argument
     } else {
@@ -1451,6 +2619,9 @@ ActionContainer.prototype.addArgument = function (args, kwargs) {
     }
     var action = new actionClass(kwargs);
 
+    if (action.env === undefined) {
+        action.env = this._getEnvDefault(action);
+    }
 
     // throw an error if the action type is not callable
     var typeFunction = this._registryGet('type', action.type, action.type);
@@ -1458,15 +2629,61 @@ ActionContainer.prototype.addArgument = function (args, kwargs) {
         throw new Error($stringPrint('"%function%" is not callable', {'function': typeFunction}));
     }
 
-    return this._addAction(action);
+    action = this._addAction(action);
+    if (action.global) {
+        this._addActionGlobal(action);
+    }
+    return action;
+};
+
+/**
+ * Return the environment variable derived from the destination of action
+ * (ex: --api-url with envPrefix "MYTOOL" reads MYTOOL_API_URL), used unless
+ * env is set or false
+ *
+ * @param {Action} action
+ * @return {string}
+ */
+ActionContainer.prototype._getEnvDefault = function (action) {
+    if (this.envPrefix === undefined || action.destination === SUPPRESS || action.defaultValue === SUPPRESS) {
+        return undefined;
+    }
+    return this.envPrefix + '_' + action.destination.toUpperCase().replace(/[^A-Z0-9]/g, '_');
 };
 
+/**
+ * Add a group of arguments and return it:
+ * <ul>
+ * <li>a mutually exclusive group if mutuallyExclusive is true (at most one
+ * argument, or exactly one if options.required), shown in its own help
+ * section if options.title or options.description is set</li>
+ * <li>an inclusive group if options.inclusive is true (all the arguments or
+ * none, or all if options.required)</li>
+ * <li>a counted group if options.minCount or options.maxCount is set
+ * (between minCount and maxCount arguments)</li>
+ * <li>a group of arguments shown in their own help section otherwise</li>
+ * </ul>
+ *
+ * @param {object} options
+ * @param {boolean} mutuallyExclusive
+ * @return {ArgumentGroup}
+ */
 ActionContainer.prototype.addArgumentGroup = function (options, mutuallyExclusive) {
     var group;
+    options = options || {};
     mutuallyExclusive = (mutuallyExclusive || false);
     if (mutuallyExclusive) {
         group = new ArgumentGroupMutex(this, options);
         this._actionGroupsMutex.push(group);
+        if (group._isSection()) {
+            this._actionGroups.push(group);
+        }
+    } else if (options.inclusive) {
+        group = new ArgumentGroupInclusive(this, options);
+        this._actionGroupsInclusive.push(group);
+    } else if (options.minCount !== undefined || options.maxCount !== undefined) {
+        group = new ArgumentGroupCount(this, options);
+        this._actionGroupsCount.push(group);
     } else {
         group = new ArgumentGroup(this, options);
         this._actionGroups.push(group);
@@ -1474,6 +2691,16 @@ ActionContainer.prototype.addArgumentGroup = function (options, mutuallyExclusiv
     return group;
 };
 
+/**
+ * Return the groups checked after parsing and shown in usage: mutually
+ * exclusive, inclusive and counted groups
+ *
+ * @return {Array}
+ */
+ActionContainer.prototype._getActionGroupsChecked = function () {
+    return [].concat(this._actionGroupsMutex, this._actionGroupsInclusive, this._actionGroupsCount);
+};
+
 ActionContainer.prototype._addAction = function (action) {
 
     // resolve any conflicts
@@ -1491,7 +2718,7 @@ ActionContainer.prototype._addAction = function (action) {
     // set the flag if any option strings look like negative numbers
     action.optionStrings.forEach(function (optionString) {
         if (optionString.match(this._regexpNegativeNumber)) {
-            if (!this._hasNegativeNumberOptionals) {
+            if (this._hasNegativeNumberOptionals.length === 0) {
                 this._hasNegativeNumberOptionals.push(true);
             }
         }
@@ -1513,20 +2740,35 @@ ActionContainer.prototype._addContainerActions = function (container) {
     // collect groups by titles
     var titleGroupMap = {};
     this._actionGroups.forEach(function (group) {
-        if (titleGroupMap.indexOf(group.title) >= 0) {
+        if (group instanceof ArgumentGroupMutex) {
+            return;
+        }
+        if (titleGroupMap.hasOwnProperty(group.title)) {
             throw new Error($stringPrint(_('Cannot merge actions - two groups are named "%title%".'), group));// ValueError
         }
         titleGroupMap[group.title] = group;
     });
 
-    // map each action to its group
-    var groupMap = {};
+    // map each action to its group (actions can not be used as object keys)
+    var groupMapActions = [];
+    var groupMapGroups = [];
+    var mapActions = function (group, groupNew) {
+        group._groupActions.forEach(function (action) {
+            groupMapActions.push(action);
+            groupMapGroups.push(groupNew);
+        });
+    };
     container._actionGroups.forEach(function (group) {
 
-        // if a group with the title exists, use that, otherwise
+        // mutually exclusive groups with a title are added below
+        if (group instanceof ArgumentGroupMutex) {
+            return;
+        }
+
+        // if a group with the title exists, use that, otherwise
         // create a new group matching the container's group
-        if (titleGroupMap.indexOf(group.title) < 0) {
-            titleGroupMap[group.title] = this.addArgumentGroup([], {
+        if (!titleGroupMap.hasOwnProperty(group.title)) {
+            titleGroupMap[group.title] = this.addArgumentGroup({
                 title: group.title,
                 description: group.description,
                 conflictHandler: group.conflictHandler
@@ -1534,41 +2776,66 @@ ActionContainer.prototype._addContainerActions = function (container) {
         }
 
         // map the actions to their new group
-        group._groupActions.forEach(function (action) {
-            groupMap[action] = titleGroupMap[group.title];
+        mapActions(group, titleGroupMap[group.title]);
+    }, this);
+
+    // add container's mutually exclusive, inclusive and counted groups, in
+    // the matching help section and with their nested groups
+    var groupsNested = [];
+    var addGroup = function (group, parent) {
+        var groupNew = parent.addArgumentGroup({
+            title: group.title,
+            description: group.description,
+            required: group.required,
+            inclusive: group instanceof ArgumentGroupInclusive,
+            minCount: group.minCount,
+            maxCount: group.maxCount
+        }, group instanceof ArgumentGroupMutex);
+
+        // map the actions to their new group, then to the nested groups
+        mapActions(group, groupNew);
+        (group._groupsNested || []).forEach(function (groupNested) {
+            addGroup(groupNested, groupNew);
         });
-    });
-
-    // add container's mutually exclusive groups
-    // NOTE: if add_mutually_exclusive_group ever gains title= and
-    // description= then this code will need to be expanded as above
+    };
     container._actionGroupsMutex.forEach(function (group) {
-        var mutexGroup = this.addArgumentGroup({required: group.required}, true);
-
-        // map the actions to their new mutex group
-        group._groupActions.forEach(function (action) {
-            groupMap[action] = mutexGroup;
-        });
+        groupsNested = groupsNested.concat(group._groupsNested);
     });
+    container._getActionGroupsChecked().forEach(function (group) {
+        var parent = this;
+        if (groupsNested.indexOf(group) >= 0) {
+            return;
+        }
+        if (group._container instanceof ArgumentGroup && !(group._container instanceof ArgumentGroupMutex)) {
+            parent = titleGroupMap[group._container.title];
+        }
+        addGroup(group, parent);
+    }, this);
 
     // add all actions to this container or their group
     container._actions.forEach(function (action) {
-        groupMap.get(action, this)._addAction(action);
-    });
+        var index = groupMapActions.lastIndexOf(action);
+        (index >= 0 ? groupMapGroups[index] : this)._addAction(action);
+    }, this);
 };
 
 ActionContainer.prototype._getPositionalKwargs = function (destination, kwargs) {
-    // make sure required is not specified
+    // make sure required and global are not specified
     if (kwargs.required) {
         throw new Error(_('"required" is an invalid argument for positionals.'));// TypeError
     }
+    if (kwargs.global) {
+        throw new Error(_('"global" is an invalid argument for positionals.'));// TypeError
+    }
 
     // mark positional arguments as required if at least one is
-    // always required
-    if (kwargs.nargs !== OPTIONAL && kwargs.nargs !== ZERO_OR_MORE) {
+    // always required (ranges from 0 are handled as "*")
+    var range = $nargsRange(kwargs.nargs);
+    var zeroOrMore = kwargs.nargs === ZERO_OR_MORE || range !== undefined && range.min === 0;
+    if (kwargs.nargs !== OPTIONAL && !zeroOrMore) {
         kwargs.required = true;
     }
-    if (kwargs.nargs === ZERO_OR_MORE && kwargs.defaultValue === undefined) {
+    if (zeroOrMore && kwargs.defaultValue === undefined) {
         kwargs.required = true;
     }
 
@@ -1618,7 +2885,7 @@ ActionContainer.prototype._getOptionalKwargs = function (args, kwargs) {
                 option: optionStrings.join(', ')
             }));
         }
-        destination = destination.replace('-', '_');
+        destination = destination.replace(/-/g, '_');
     }
 
     // return the updated keyword arguments
@@ -1629,7 +2896,7 @@ ActionContainer.prototype._getOptionalKwargs = function (args, kwargs) {
 };
 
 ActionContainer.prototype._popActionClass = function (kwargs, defaultValue) {
-    var action = (kwargs.action || defaultValue);
+    var action = (kwargs.action || defaultValue || null);
     delete kwargs.action;
     var actionClass = this._registryGet('action', action, action);
     return actionClass;
@@ -1681,7 +2948,8 @@ ActionContainer.prototype._handleConflictError = function (action, conflictingAc
         action,
         $stringPrint(_('Conflicting option string(s): %conflict%'), {
             conflict: optionStrings.join(', ')
-        })
+        }),
+        'CONFLICTING_OPTION'
     );
 };
 
@@ -1720,6 +2988,7 @@ function ArgumentGroup(container, options) {
     options.conflictHandler = (options.conflictHandler || container.conflictHandler);
     options.prefixChars = (options.prefixChars || container.prefixChars);
     options.argumentDefault = (options.argumentDefault || container.argumentDefault);
+    options.envPrefix = (options.envPrefix || container.envPrefix);
 
     ActionContainer.call(this, options);
 
@@ -1734,6 +3003,10 @@ function ArgumentGroup(container, options) {
     this._optionStringActions = container._optionStringActions;
     this._defaults = container._defaults;
     this._hasNegativeNumberOptionals = container._hasNegativeNumberOptionals;
+    this._actionGroups = container._actionGroups;
+    this._actionGroupsMutex = container._actionGroupsMutex;
+    this._actionGroupsInclusive = container._actionGroupsInclusive;
+    this._actionGroupsCount = container._actionGroupsCount;
 }
 util.inherits(ArgumentGroup, ActionContainer);
 
@@ -1750,6 +3023,16 @@ ArgumentGroup.prototype._addAction = function (action) {
     return action;
 };
 
+/**
+ * Add a global action to the subparsers of the parser (see
+ * ArgumentParser._addActionGlobal)
+ *
+ * @param {Action} action
+ */
+ArgumentGroup.prototype._addActionGlobal = function (action) {
+    this._container._addActionGlobal(action);
+};
+
 /**
  * Return action
  *
@@ -1775,6 +3058,7 @@ function ArgumentGroupMutex(container, options) {
 
     ArgumentGroup.call(this, container, options);
     this.required = (options.required || false);
+    this._groupsNested = [];
 }
 util.inherits(ArgumentGroupMutex, ArgumentGroup);
 
@@ -1782,16 +3066,130 @@ ArgumentGroupMutex.prototype._addAction = function (action) {
     if (action.required) {
         throw new Error(_('Mutually exclusive arguments must be optional.'));// ValueError
     }
-    action = this._container._addAction(action);
+    if (this._isSection()) {
+        action = ActionContainer.prototype._addAction.call(this, action);
+    } else {
+        action = this._container._addAction(action);
+    }
     this._groupActions.push(action);
     return action;
 };
 ArgumentGroupMutex.prototype._removeAction = function (action) {
-    this._container._removeAction(action);
+    if (this._isSection()) {
+        ActionContainer.prototype._removeAction.call(this, action);
+    } else {
+        this._container._removeAction(action);
+    }
     var actionIndex = this._groupActions.indexOf(action);
     this._groupActions.splice(actionIndex);
 };
 
+/**
+ * Add a group of arguments taken as a single alternative of this group
+ * (ex: either --url, or --host and --port together)
+ *
+ * @param {object} options
+ * @param {boolean} mutuallyExclusive
+ * @return {ArgumentGroup}
+ */
+ArgumentGroupMutex.prototype.addArgumentGroup = function (options, mutuallyExclusive) {
+    var group;
+    options = options || {};
+    if (options.title !== undefined || options.description !== undefined ||
+            !mutuallyExclusive && !options.inclusive && options.minCount === undefined && options.maxCount === undefined) {
+        throw new Error(_('Groups in a mutually exclusive group must be mutually exclusive, inclusive or counted, without title.'));// ValueError
+    }
+    group = ActionContainer.prototype.addArgumentGroup.call(this, options, mutuallyExclusive);
+    this._groupsNested.push(group);
+    return group;
+};
+
+/**
+ * Return whether the group is shown in its own help section
+ *
+ * @return {boolean}
+ */
+ArgumentGroupMutex.prototype._isSection = function () {
+    return this.title !== undefined || this.description !== undefined;
+};
+
+/**
+ * Return the alternatives of the group in order: its own actions and its
+ * nested groups
+ *
+ * @return {Array}
+ */
+ArgumentGroupMutex.prototype._getAlternatives = function () {
+    var alternatives = [];
+    this._groupActions.forEach(function (action) {
+        var alternative = action;
+        this._groupsNested.forEach(function (group) {
+            if (group._groupActions.indexOf(action) >= 0) {
+                alternative = group;
+            }
+        });
+        if (alternatives.indexOf(alternative) < 0) {
+            alternatives.push(alternative);
+        }
+    }, this);
+    return alternatives;
+};
+
+
+/**
+ * ArgumentGroupInclusive constructor
+ *
+ * A group of arguments given all together or not at all (all of them if
+ * required).
+ *
+ * @constructor
+ * @param container
+ * @param {object} options
+ * @return
+ */
+function ArgumentGroupInclusive(container, options) {
+    options = options || {};
+
+    ArgumentGroup.call(this, container, options);
+    this.required = (options.required || false);
+}
+util.inherits(ArgumentGroupInclusive, ArgumentGroup);
+
+ArgumentGroupInclusive.prototype._addAction = function (action) {
+    action = this._container._addAction(action);
+    this._groupActions.push(action);
+    return action;
+};
+ArgumentGroupInclusive.prototype._removeAction = ArgumentGroupMutex.prototype._removeAction;
+
+
+/**
+ * ArgumentGroupCount constructor
+ *
+ * A group of arguments of which at least minCount and at most maxCount are
+ * given.
+ *
+ * @constructor
+ * @param container
+ * @param {object} options
+ * @return
+ */
+function ArgumentGroupCount(container, options) {
+    options = options || {};
+
+    ArgumentGroup.call(this, container, options);
+    this.minCount = (options.minCount || 0);
+    this.maxCount = options.maxCount;
+    this.required = this.minCount > 0;
+    if (this.maxCount !== undefined && this.maxCount < Math.max(this.minCount, 1)) {
+        throw new Error(_('maxCount must be greater than minCount and 0.'));// ValueError
+    }
+}
+util.inherits(ArgumentGroupCount, ArgumentGroup);
+
+ArgumentGroupCount.prototype._addAction = ArgumentGroupInclusive.prototype._addAction;
+ArgumentGroupCount.prototype._removeAction = ArgumentGroupMutex.prototype._removeAction;
+
 
 /**
  * ArgumentParser declaration
@@ -1807,15 +3205,16 @@ function ArgumentParser(options) {
 
     // environment
     options.debug = (options.debug || false);
-    options.stdout = (options.stdout || process.stdout);
-    options.stderr = (options.stderr || process.stderr);
+    options.stdout = (options.stdout !== undefined ? options.stdout: process.stdout);
+    options.stderr = (options.stderr !== undefined ? options.stderr: process.stderr);
 
     // default program name
-    options.program = (options.program || require('path').basename(process.execPath));
+    options.program = (options.program || path.basename(process.execPath));
 
     ActionContainer.call(this, options);
 
     this.debug = true;
+    this._debugRun = options.debug;
     this.stdout = options.stdout;
     this.stderr = options.stderr;
 
@@ -1825,13 +3224,27 @@ function ArgumentParser(options) {
     this.version = options.version;
 
     this.formatterClass = (options.formatterClass || 'HelpFormatter');
+    if (options.handler !== undefined) {
+        this.setDefaults({handler: options.handler});
+    }
     // TODO: more generic way module.Class?
 
     this.prefixCharsFile = options.prefixCharsFile;
+    this.configFiles = (options.configFiles || []);
+    this.configName = options.configName;
+
+    // configuration files read by the last parsing, with the values each one
+    // supplied (see findConfigFiles)
+    this.configSources = [];
+
+    // actions parsed by another pass (see parseArgsKnownIntermixed): they are
+    // not taken again from the environment or the configuration files, and
+    // their groups are not checked again
+    this._fallbackSkipped = [];
 
     this._positionals = this.addArgumentGroup({title: _('Positional arguments')});
     this._optionals = this.addArgumentGroup({title: _('Optional arguments')});
-    this._subparsers = [];
+    this._subparsers = undefined;
 
     // register types
     this.register('type', 'auto', FUNCTION_IDENTITY);
@@ -1854,10 +3267,19 @@ function ArgumentParser(options) {
         return '' + x;
     });
 
+    // register configuration file formats, by file extension
+    this.register('config', '.json', JSON.parse);
+    this.register('config', '.ini', $parseIni);
+    this.register('config', '.yml', $parseYaml);
+    this.register('config', '.yaml', $parseYaml);
+    this.register('config', null, function (content) {
+        return content.match(/^\s*\{/) ? JSON.parse(content): $parseIni(content);
+    });
+
     // add help and version arguments if necessary
     // (using explicit default to override global argument_default)
     if (options.help) {
-        this.addArgument(
+        this._helpAction = this.addArgument(
             ['-h', '--help'],
             {
                 action: 'help',
@@ -1866,7 +3288,7 @@ function ArgumentParser(options) {
         );
     }
     if (this.version !== undefined) {
-        this.addArgument(
+        this._versionAction = this.addArgument(
             ['-v', '--version'],
             {
                 action: 'version',
@@ -1875,6 +3297,16 @@ function ArgumentParser(options) {
             }
         );
     }
+    if (options.configOption !== undefined) {
+        this._configAction = this.addArgument(
+            [].concat(options.configOption),
+            {
+                action: 'store',
+                metavar: 'FILE',
+                help: _('Read the missing arguments from the configuration file FILE.')
+            }
+        );
+    }
 
     // add parent arguments and defaults
     options.parents.forEach(function (parent) {
@@ -1886,7 +3318,7 @@ function ArgumentParser(options) {
                 }
             }
         }
-    });
+    }, this);
 
 }
 util.inherits(ArgumentParser, ActionContainer);
@@ -1901,7 +3333,8 @@ ArgumentParser.prototype.addSubparsers =  function (options) {
 
     options = options || {};
     options.optionStrings = [];
-    options.parserClass =  (options.parserClass || 'ArgumentParser');
+    options.parserClass =  (options.parserClass || this.constructor);
+    options.parserOptions = (options.parserOptions || {debug: this._debugRun, stdout: this.stdout, stderr: this.stderr});
 
 
     if (options.title !== undefined || options.description !== undefined) {
@@ -1918,18 +3351,24 @@ ArgumentParser.prototype.addSubparsers =  function (options) {
     }
 
     // prog defaults to the usage message of this parser, skipping
-    // optional arguments and with no "usage:" prefix
-    if (options.program !== undefined) {
-        var formatter = this._getFormatter();
-        var positionals = this._getActionsPositional();
-        var groups = this._actionGroupsMutex;
-        formatter.addUsage(this.usage, positionals, groups, '');
+    // optional arguments and with no "usage:" prefix (formatted as text, the
+    // formatter of the parser possibly producing documents)
+    if (options.program === undefined) {
+        var formatter = new HelpFormatter({program: this.program});
+        var parser = this.describe({recursive: false});
+        formatter.addUsage(parser.usageTemplate, parser.actions.filter(function (action) {
+            return action.optionStrings.length === 0;
+        }), parser.checkedGroups, '');
         options.program = $stringStrip(formatter.formatHelp());
     }
     // create the parsers action and add it to the positionals list
     var parsersClass = this._popActionClass(options, 'parsers');
     var action = new parsersClass(options);
+    action._parentParser = this;
     this._subparsers._addAction(action);
+    if (action.helpCommand) {
+        action._addHelpParser();
+    }
 
     // return the created parsers action
     return action;
@@ -1944,6 +3383,63 @@ ArgumentParser.prototype._addAction = function (action) {
     return action;
 };
 
+/**
+ * Add a global action (see the global option) to the parsers of the
+ * subparsers, at any depth
+ *
+ * @param {Action} action
+ */
+ArgumentParser.prototype._addActionGlobal = function (action) {
+    this._getSubparsers().forEach(function (parser) {
+        parser._addActionInherited(action);
+    });
+};
+
+/**
+ * Add a global action of a parent parser, shown in the "Inherited options"
+ * help section. The action is shared: it stores its value in the same
+ * namespace whatever the parser it is given to.
+ *
+ * @param {Action} action
+ */
+ArgumentParser.prototype._addActionInherited = function (action) {
+    var container = action.container;
+    if (this._inherited === undefined) {
+        this._inherited = this.addArgumentGroup({title: _('Inherited options')});
+    }
+    this._inherited._addAction(action);
+    action.container = container;
+    this._addActionGlobal(action);
+};
+
+/**
+ * Return the parsers action of this parser, if any (see addSubparsers)
+ *
+ * @return {ActionSubparser}
+ */
+ArgumentParser.prototype._getActionSubparser = function () {
+    return this._actions.filter(function (action) {
+        return action instanceof ActionSubparser;
+    })[0];
+};
+
+/**
+ * Return the parsers of the subparsers of this parser (without the aliases),
+ * loading them if load is true (see the load option of addParser)
+ *
+ * @param {boolean} load
+ * @return {Array}
+ */
+ArgumentParser.prototype._getSubparsers = function (load) {
+    var parsers = [];
+    this._actions.forEach(function (action) {
+        if (action instanceof ActionSubparser) {
+            parsers = parsers.concat(action._getParsers(load));
+        }
+    });
+    return parsers;
+};
+
 ArgumentParser.prototype._getActionsOptional = function () {
     return this._actions.filter(function (action, actionIndex) {
         return action.isOptional();
@@ -1992,28 +3488,7 @@ ArgumentParser.prototype.parseArgsKnown = function (/* array */ args, /* object
 
     // default Namespace built from parser defaults
     namespace = namespace || new Namespace();
-
-
-    // add any action defaults that aren't present
-    this._actions.forEach(function (action) {
-        if (action.destination !== SUPPRESS &&
-            namespace[action.destination] === undefined &&
-            action.defaultValue !== SUPPRESS
-        ) {
-            var defaultValue = action.defaultValue;
-            if (typeof(action.defaultValue) === 'string') {
-                defaultValue = this._getValue(action, defaultValue);
-            }
-            namespace.set(action.destination, defaultValue);
-        }
-    }.bind(this));
-
-    // add any parser defaults that aren't present
-    for (var destination in this._defaults) {
-        if (namespace.get(destination) === undefined) {
-            namespace.set(destination, this._defaults[destination]);
-        }
-    }
+    this._addDefaults(namespace);
 
     // parse the arguments and exit if there are any errors
     try {
@@ -2027,94 +3502,584 @@ ArgumentParser.prototype.parseArgsKnown = function (/* array */ args, /* object
     }
 };
 
-ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
-    argStrings = this._readArgs(argStrings);
+/**
+ * Return the parsed args and all the errors found, without printing anything
+ * nor exiting.
+ *
+ * Each error is an ArgumentError holding the argument name, the index of the
+ * offending argument string (if any), an error code and a message. When an
+ * action such as help or version asks to exit, the SystemExit is returned as
+ * exit instead. An external command selected is not run, but returned as
+ * external (see getExternalCommand).
+ *
+ * @param {Array} args (default: process.argv.slice(2))
+ * @param {Namespace} namespace (optional)
+ * @return {object} {namespace: Namespace, errors: Array, exit: SystemExit, external: object}
+ */
+ArgumentParser.prototype.safeParse = function (/* array */ args, /* object */ namespace) {
+    var errors = [],
+        result = {namespace: namespace || new Namespace(), errors: errors, exit: undefined, external: undefined},
+        extras = [],
+        extraIndex = -1;
 
-    // map all mutually exclusive arguments to the other arguments they can't
-    // occur with
-    var actionConflicts = {};
-    this._actionGroupsMutex.forEach(function (mutexGroup) {
-        mutexGroup._groupActions.forEach(function (mutexAction, mutexIndex) {
-            actionConflicts[mutexAction] = (actionConflicts[mutexAction] || []);
-            actionConflicts[mutexAction] = actionConflicts[mutexAction].concat(
-                    mutexGroup._groupActions.slice(0, mutexIndex),
-                    mutexGroup._groupActions.slice(mutexIndex + 1)
+    // args default to the system args, without node and the script
+    args = args || process.argv.slice(2);
+
+    this._errorsCollected = errors;
+    try {
+        this._addDefaults(result.namespace);
+        extras = this._parseArgsKnown(args, result.namespace)[1];
+    } catch (e) {
+        if (e instanceof SystemExit) {
+            result.exit = e;
+        } else if (e instanceof ArgumentError) {
+            errors.push(e);
+        } else {
+            throw e;
+        }
+    } finally {
+        delete this._errorsCollected;
+    }
+    result.external = this.getExternalCommand();
+
+    // report unrecognized arguments unless they were already reported
+    extras.forEach(function (extra) {
+        var error;
+        extraIndex = args.indexOf(extra, extraIndex + 1);
+        if (!errors.some(function (e) { return e.index === extraIndex; })) {
+            error = new ArgumentError(
+                extra,
+                $stringPrint(_('Unrecognized arguments: %arguments%.'), {arguments: extra}),
+                'UNRECOGNIZED_ARGUMENT'
             );
-        });
+            error.index = extraIndex >= 0 ? extraIndex: undefined;
+            errors.push(error);
+        }
     });
 
+    return result;
+};
 
-    // find all option indices, and determine the argStringPattern
-    // which has an 'O' if there is an option at an index,
-    // an 'A' if there is an argument, or a '-' if there is a '--'
-    var optionStringIndices = [];
-    var argStringPatternParts = [];
-    var found = false;// -- if is found
+/**
+ * Return a promise of the parsed args. Type functions and actions returning a
+ * promise are waited for, in the order of the arguments. Rejections are
+ * reported as errors like parseArgs() does. An external command selected is
+ * not run, but left to the caller (see getExternalCommand).
+ *
+ * @param {Array} args (default: process.argv.slice(2))
+ * @param {Namespace} namespace (optional)
+ * @return {Promise} args
+ */
+ArgumentParser.prototype.parseArgsAsync = function (/* array */ args, /* object */ namespace) {
+    var self = this,
+        pending,
+        result;
 
-    argStrings.forEach(function (argString, argStringIndex) {
+    // args default to the system args, without node and the script
+    args = args || process.argv.slice(2);
 
-        if (found) {
-            argStringPatternParts.push('A');
-        } else {
-            // all args after -- are non-options
-            if (argString === '--') {
-                argStringPatternParts.push('-');
-                found = true;
+    // default Namespace built from parser defaults
+    namespace = namespace || new Namespace();
 
-                // otherwise, add the arg to the arg strings
-                // and note the index if it was an option
-            } else {
-                var optionTuple = this._parseOptional(argString);
-                var pattern;
-                if (optionTuple !== undefined) {
-                    optionStringIndices[argStringIndex] = optionTuple;
-                    pattern = 'O';
-                } else {
-                    pattern = 'A';
-                }
-                argStringPatternParts.push(pattern);
-            }
+    this._pending = Promise.resolve();
+    try {
+        this._addDefaults(namespace);
+        result = this._parseArgsKnown(args, namespace);
+        pending = this._pending;
+    } catch (e) {
+        pending = Promise.reject(e);
+    } finally {
+        delete this._pending;
+    }
+
+    return pending.then(function () {
+        if (result[1].length > 0) {
+            self.error(1,
+                $stringPrint(_('Unrecognized arguments: %arguments%.'), {
+                    arguments: result[1].join(' ')
+                })
+            );
         }
-    }.bind(this));
+        return result[0];
+    }, function (e) {
+        if (self.debug) {
+            throw e;
+        } else {
+            self.error(1, e.message);
+        }
+    });
+};
 
-    // join the pieces together to form the pattern
-    var argStringsPattern = argStringPatternParts.join('');
+/**
+ * Return the external command selected by the last parse, when it was not
+ * run (see safeParse and parseArgsAsync): {file, args}, args being the
+ * remaining args (or ['--help'] for the help command). Return undefined if
+ * there is none.
+ *
+ * @return {object}
+ */
+ArgumentParser.prototype.getExternalCommand = function () {
+    var parser = this;
 
-    // converts arg strings to the appropriate and then takes the action
-    var actionsSeen = [];
-    var actionsSeenNonDefault = [];
-    var extras = [];
-    var startIndex = 0;
-    var stopIndex = 0;
+    while (parser !== undefined && parser._externalSelected === undefined) {
+        parser = parser._subparserSelected;
+    }
+    return parser !== undefined ? parser._externalSelected: undefined;
+};
+
+/**
+ * Parse the args and call the handler of the deepest selected parser (see
+ * the handler option) with the namespace. Return a promise of the exit
+ * status: the value returned by the handler (or the promise it returns) if
+ * a number, 1 if false and 0 otherwise. ArgumentErrors thrown by the handler
+ * are reported as usage errors of the selected parser.
+ *
+ * Usage errors, help and version print their message and resolve with their
+ * exit status too, the status being set as process.exitCode, unless the
+ * parser was created with the debug option: they reject with a SystemExit
+ * then, and process.exitCode is left alone.
+ *
+ * When the args default to the system args and the program is run by a
+ * completion script (see generateCompletion), print the completion
+ * candidates instead, one per line (see complete).
+ *
+ * @param {Array} args (default: process.argv.slice(2))
+ * @return {Promise} status
+ */
+ArgumentParser.prototype.run = function (/* array */ args) {
+    var self = this,
+        parser = this,
+        parsers = [],
+        words,
+        namespace;
+
+    // args default to the system args, without node and the script, which
+    // may ask for completion candidates instead
+    if (!args) {
+        args = process.argv.slice(2);
+        words = this._getCompletionWords(args);
+    }
 
-    function takeAction(action, argumentStrings, optionString) {
+    return Promise.resolve().then(function () {
+        var handler;
 
-        actionsSeen.push(action);
-        var argValues = this._getValues(action, argumentStrings);
+        if (words !== undefined) {
+            return self.complete(words).then(function (candidates) {
+                self._printMessage(candidates.map(function (candidate) {
+                    return candidate + EOL;
+                }).join(''), self.stdout);
+            });
+        }
+        namespace = self.parseArgs(args);
 
-        // error if this argument is not allowed with other previously
-        // seen arguments, assuming that actions that use the default
-        // value don't really count as "present"
-        if (argValues !== action.defaultValue) {
-            actionsSeenNonDefault.push(action);
-            if (actionConflicts[action]) {
-                actionConflicts[action].forEach(function (actionConflict) {
-                    if (actionsSeenNonDefault.indexOf(actionConflict) >= 0) {
-                        var message = $stringPrint(_('Not allowed with argument "%argument%".'), {argument: actionConflict.getName()});
-                        throw new ArgumentError(action, message);
-                    }
-                });
+        // the deepest selected parser with a handler handles the command
+        while (parser !== undefined) {
+            parsers.unshift(parser);
+            parser = parser._subparserSelected;
+        }
+        parser = parsers[0];
+        parsers.forEach(function (parserSelected) {
+            if (handler === undefined) {
+                handler = parserSelected.getDefault('handler');
+            }
+        });
+        if (handler === undefined) {
+            if (parser._subparsers !== undefined) {
+                return parser.error(1, _('Expected a command.'));
             }
+            throw new Error($stringPrint(_('No handler for "%program%".'), parser));
         }
-        // take the action if we didn't receive a SUPPRESS value (e.g. from a
-        // default)
-        if (argValues !== SUPPRESS) {
-            action.call(this, namespace, argValues, optionString);
+        return handler(namespace);
+    }).then(function (result) {
+        var status = typeof(result) === 'number' ? result: (result === false ? 1: 0);
+        if (!self._debugRun) {
+            process.exitCode = status;
         }
-    }
-
-    // function to convert argStrings into an optional action
-    function consumeOptional(startIndex) {
+        return status;
+    }, function (e) {
+        if (e instanceof ArgumentError) {
+            return parser.error(1, e.toString());
+        }
+        throw e;
+    }).then(null, function (e) {
+        if (self._debugRun || !(e instanceof SystemExit)) {
+            throw e;
+        }
+        process.exitCode = e.code;
+        return e.code;
+    });
+};
+
+ArgumentParser.prototype._addDefaults = function (namespace) {
+    // add any action defaults that aren't present
+    this._actions.forEach(function (action) {
+        if (action.destination !== SUPPRESS &&
+            namespace[action.destination] === undefined &&
+            action.defaultValue !== SUPPRESS
+        ) {
+            var defaultValue = action.defaultValue;
+            if (typeof(action.defaultValue) === 'string') {
+                defaultValue = this._getValue(action, defaultValue);
+            }
+            namespace.set(action.destination, defaultValue);
+            namespace.setSource(action.destination, {
+                source: this._defaults[action.destination] === action.defaultValue ? 'parserDefault': 'default'
+            });
+
+            // defaults of asynchronous types are resolved before the actions
+            if (this._pending !== undefined && $isThenable(defaultValue)) {
+                this._pending = this._pending.then(function () {
+                    return defaultValue;
+                }).then(function (value) {
+                    namespace.set(action.destination, value);
+                });
+            } else if (this._pending === undefined) {
+                this._checkValueSync(action, defaultValue);
+            }
+        }
+    }.bind(this));
+
+    // add any parser defaults that aren't present
+    for (var destination in this._defaults) {
+        if (namespace.get(destination) === undefined) {
+            namespace.set(destination, this._defaults[destination]);
+            namespace.setSource(destination, {source: 'parserDefault'});
+        }
+    }
+    return namespace;
+};
+
+/**
+ * Return the parsed args, collecting positionals wherever they appear between
+ * optionals, and throws error if some arguments are not recognized
+ *
+ * @param {Array} args (default: process.argv.slice(2))
+ * @param {Namespace} namespace
+ * @return args
+ */
+ArgumentParser.prototype.parseArgsIntermixed = function (/* array */ args, /* object */ namespace) {
+    var result = this.parseArgsKnownIntermixed(args, namespace), argv;
+    args = result[0];
+    argv = result[1];
+
+    if (argv && argv.length > 0) {
+        this.error(1,
+            $stringPrint(_('Unrecognized arguments: %arguments%.'), {
+                arguments: argv.join(' ')
+            })
+        );
+    }
+    return args;
+};
+
+/**
+ * Return the parsed args (only known), collecting positionals wherever they
+ * appear between optionals.
+ *
+ * The optionals are parsed first while positionals are suppressed, then the
+ * remaining strings are parsed as positionals only.
+ *
+ * @param {Array} args (default: process.argv.slice(2))
+ * @param {Namespace} namespace (optional)
+ * @return [args, argv]
+ */
+ArgumentParser.prototype.parseArgsKnownIntermixed = function (/* array */ args, /* object */ namespace) {
+    var positionals = this._getActionsPositional(),
+        optionals = this._getActionsOptional(),
+        groups = this._actionGroupsMutex,
+        usage = this.usage,
+        nargsSaved,
+        defaultsSaved,
+        requiredSaved,
+        groupsRequiredSaved,
+        result;
+
+    // args default to the system args, without node and the script
+    args = args || process.argv.slice(2);
+
+    // PARSER and REMAINDER positionals would swallow the following optionals
+    positionals.forEach(function (action) {
+        if (action.nargs === PARSER || action.nargs === REMAINDER) {
+            throw new Error($stringPrint(_('parseArgsIntermixed: positional argument "%argument%" with nargs "%nargs%" is not supported.'), {
+                argument: action.getName(),
+                nargs: action.nargs
+            }));// TypeError
+        }
+    });
+    groups.forEach(function (group) {
+        group._groupActions.forEach(function (action) {
+            if (positionals.indexOf(action) >= 0) {
+                throw new Error($stringPrint(_('parseArgsIntermixed: positional argument "%argument%" in a mutually exclusive group is not supported.'), {
+                    argument: action.getName()
+                }));// TypeError
+            }
+        });
+    });
+
+    try {
+        // keep the complete usage in error messages
+        if (this.usage === undefined) {
+            this.usage = $stringStrip(this.formatUsage().substr(_('usage: ').length));
+        }
+
+        // first pass: optionals only, positional strings are left as extras
+        nargsSaved = positionals.map(function (action) {
+            return action.nargs;
+        });
+        defaultsSaved = positionals.map(function (action) {
+            return action.defaultValue;
+        });
+        try {
+            positionals.forEach(function (action) {
+                action.nargs = SUPPRESS;
+                action.defaultValue = SUPPRESS;
+            });
+            this._fallbackSkipped = positionals;
+            result = this.parseArgsKnown(args, namespace);
+        } finally {
+            this._fallbackSkipped = [];
+            positionals.forEach(function (action, actionIndex) {
+                action.nargs = nargsSaved[actionIndex];
+                action.defaultValue = defaultsSaved[actionIndex];
+            });
+        }
+
+        // second pass: positionals only, optionals were already checked
+        requiredSaved = optionals.map(function (action) {
+            return action.required;
+        });
+        groupsRequiredSaved = groups.map(function (group) {
+            return group.required;
+        });
+        try {
+            optionals.forEach(function (action) {
+                action.required = false;
+            });
+            groups.forEach(function (group) {
+                group.required = false;
+            });
+            this._fallbackSkipped = optionals;
+            result = this.parseArgsKnown(result[1], result[0]);
+        } finally {
+            this._fallbackSkipped = [];
+            optionals.forEach(function (action, actionIndex) {
+                action.required = requiredSaved[actionIndex];
+            });
+            groups.forEach(function (group, groupIndex) {
+                group.required = groupsRequiredSaved[groupIndex];
+            });
+        }
+    } finally {
+        this.usage = usage;
+    }
+    return result;
+};
+
+ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
+    this._subparserSelected = undefined;
+    this._externalSelected = undefined;
+    this._checkConstraintArguments();
+    this._subparserExtras = [];
+
+    // where each argument string comes from (see _readArgs)
+    var argStringsOrigins = [];
+    argStrings = this._readArgs(argStrings, argStringsOrigins);
+
+    // map all mutually exclusive arguments to the other arguments they can't
+    // occur with (indexed by the position of the action in this._actions)
+    var actions = this._actions;
+    var actionConflicts = {};
+    // (the arguments of a nested group conflict with the other alternatives)
+    this._actionGroupsMutex.forEach(function (mutexGroup) {
+        var alternatives = mutexGroup._getAlternatives();
+        alternatives.forEach(function (alternative) {
+            var alternativeActions = alternative instanceof ArgumentGroup ? alternative._groupActions: [alternative];
+            alternativeActions.forEach(function (mutexAction) {
+                var actionIndex = actions.indexOf(mutexAction);
+                actionConflicts[actionIndex] = (actionConflicts[actionIndex] || []);
+                actionConflicts[actionIndex] = actionConflicts[actionIndex].concat(
+                        mutexGroup._groupActions.filter(function (action) {
+                            return alternativeActions.indexOf(action) < 0;
+                        })
+                );
+            });
+        });
+    });
+
+    // and the arguments conflicting with each other (both ways)
+    actions.forEach(function (action, actionIndex) {
+        (action.conflicts || []).forEach(function (argument) {
+            this._getArgumentActions(argument).forEach(function (actionConflict) {
+                var conflictIndex = actions.indexOf(actionConflict);
+                actionConflicts[actionIndex] = (actionConflicts[actionIndex] || []).concat([actionConflict]);
+                actionConflicts[conflictIndex] = (actionConflicts[conflictIndex] || []).concat([action]);
+            });
+        }.bind(this));
+    }.bind(this));
+
+
+    // find all option indices, and determine the argStringPattern
+    // which has an 'O' if there is an option at an index,
+    // an 'A' if there is an argument, or a '-' if there is a '--'
+    var optionStringIndices = [];
+    var argStringPatternParts = [];
+    var found = false;// -- if is found
+
+    argStrings.forEach(function (argString, argStringIndex) {
+
+        if (found) {
+            argStringPatternParts.push('A');
+        } else {
+            // all args after -- are non-options
+            if (argString === '--') {
+                argStringPatternParts.push('-');
+                found = true;
+
+                // otherwise, add the arg to the arg strings
+                // and note the index if it was an option
+            } else {
+                var optionTuple;
+                var pattern;
+                try {
+                    optionTuple = this._parseOptional(argString);
+                } catch (e) {
+                    this._reportError(e, argStringIndex);
+                    optionTuple = [undefined, argString, undefined];
+                }
+                if (optionTuple !== undefined) {
+                    optionStringIndices[argStringIndex] = optionTuple;
+                    pattern = 'O';
+                } else {
+                    pattern = 'A';
+                }
+                argStringPatternParts.push(pattern);
+            }
+        }
+    }.bind(this));
+
+    // join the pieces together to form the pattern
+    var argStringsPattern = argStringPatternParts.join('');
+
+    // read the configuration files, including the one named on the command
+    // line (the last one wins) or by its environment variable
+    var configPath;
+    if (this._configAction !== undefined) {
+        optionStringIndices.forEach(function (optionTuple, argStringIndex) {
+            if (optionTuple[0] === this._configAction) {
+                configPath = optionTuple[2] !== undefined ? optionTuple[2]: argStrings[argStringIndex + 1];
+            }
+        }.bind(this));
+        if (configPath === undefined) {
+            configPath = this._getEnv(this._configAction);
+        }
+    }
+    var config = this._readConfig(configPath);
+
+    // converts arg strings to the appropriate and then takes the action
+    var actionsSeen = [];
+    var actionsSeenNonDefault = [];
+    var extras = [];
+    var startIndex = 0;
+    var stopIndex = 0;
+
+    // run a parsing step now, or after the previous steps when parsing
+    // asynchronously (see parseArgsAsync)
+    var step = function (callback) {
+        if (this._pending === undefined) {
+            callback();
+        } else {
+            this._pending = this._pending.then(callback);
+        }
+    }.bind(this);
+
+    function applyAction(action, argValues, optionString, source) {
+        var conflict;
+
+        // error if this argument is not allowed with other previously
+        // seen arguments, assuming that actions that use the default
+        // value don't really count as "present"
+        if (argValues !== action.defaultValue) {
+            actionsSeenNonDefault.push(action);
+            conflict = (actionConflicts[actions.indexOf(action)] || []).filter(function (actionConflict) {
+                return actionsSeenNonDefault.indexOf(actionConflict) >= 0;
+            })[0];
+            if (conflict !== undefined) {
+                throw new ArgumentError(
+                    action,
+                    $stringPrint(_('Not allowed with argument "%argument%".'), {argument: conflict.getName()}),
+                    'CONFLICT'
+                );
+            }
+        }
+        // take the action if we didn't receive a SUPPRESS value (e.g. from a
+        // default)
+        if (argValues !== SUPPRESS) {
+            if (source !== undefined && action.destination !== SUPPRESS) {
+                namespace.setSource(action.destination, source);
+            }
+            return action.call(this, namespace, argValues, optionString);
+        }
+    }
+
+    function takeAction(action, argumentStrings, optionString, index, source) {
+        var self = this,
+            origin = argStringsOrigins[index],
+            argValues;
+        var reportError = function (e) {
+            // the errors of environment and configuration file values name
+            // where the value comes from
+            if (e instanceof ArgumentError && source !== undefined && source.source === 'env') {
+                e.message = $stringPrint('%message% (%source%)', {
+                    message: e.message,
+                    source: $stringPrint(_('environment variable %env%'), {env: source.env})
+                });
+            } else if (e instanceof ArgumentError && source !== undefined && source.source === 'config') {
+                e.message = $stringPrint('%message% (%source%)', {
+                    message: e.message,
+                    source: $stringPrint(_('configuration file %file%'), {file: source.file})
+                });
+            }
+            self._reportError(e, index);
+        };
+
+        actionsSeen.push(action);
+
+        // arguments of the command line come from it or from a file of
+        // arguments, others are given their source
+        if (source === undefined && origin !== undefined) {
+            source = {source: origin.file !== undefined ? 'file': 'cli', index: origin.index};
+            if (origin.file !== undefined) {
+                source.file = origin.file;
+            }
+            if (optionString !== undefined) {
+                source.optionString = optionString;
+            }
+        }
+
+        // when parsing asynchronously, values are resolved and actions are
+        // called in the order of the arguments, subparsers being called now
+        // to add their own steps (see ActionSubparser.call)
+        if (this._pending !== undefined && !(action instanceof ActionSubparser)) {
+            this._pending = this._pending.then(function () {
+                var argValues = self._getValues(action, argumentStrings);
+                return (Array.isArray(argValues) && argValues.some($isThenable)) ? Promise.all(argValues): argValues;
+            }).then(function (argValues) {
+                return applyAction.call(self, action, argValues, optionString, source);
+            }).then(null, reportError);
+            return;
+        }
+
+        try {
+            argValues = this._getValues(action, argumentStrings);
+            this._checkValueSync(action, argValues);
+            this._checkValueSync(action, applyAction.call(this, action, argValues, optionString, source));
+        } catch (e) {
+            reportError(e);
+        }
+    }
+
+    // function to convert argStrings into an optional action
+    function consumeOptional(startIndex) {
 
         // get the optional identified at this index
         var self = this,
@@ -2130,74 +4095,78 @@ ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
         var actionTuples = [];
         var stop;
 
-        while (true) {
-
-            // if we found no optional action, skip it
-            if (action === undefined) {
-                extras.push(argStrings[startIndex]);
-                return startIndex + 1;
-            }
-
-            // if there is an explicit argument, try to match the
-            // optional's string arguments to only this
-            if (argExplicit !== undefined) {
-                argCount = this._matchArgument(action, 'A');
+        try {
+            while (true) {
 
-                // if the action is a single-dash option and takes no
-                // arguments, try to parse more single-dash options out
-                // of the tail of the option string
-                if (argCount === 0 && this.prefixChars.indexOf(optionString[1]) < 0) {
-                    actionTuples.push([action, [], optionString]);
-                    var breaked = false, prefixChar, i;
+                // if we found no optional action, skip it
+                if (action === undefined) {
+                    extras.push(argStrings[startIndex]);
+                    return startIndex + 1;
+                }
 
-                    for (i = 0 ; i < this.prefixChars.length; i += 1) {
-                        prefixChar = this.prefixChars[i];
-                        optionString = prefixChar + argExplicit.substr(0, 1);
-                        argExplicit = argExplicit.substr(1);
+                // if there is an explicit argument, try to match the
+                // optional's string arguments to only this
+                if (argExplicit !== undefined) {
+                    argCount = this._matchArgument(action, 'A');
+
+                    // if the action is a single-dash option and takes no
+                    // arguments, try to parse more single-dash options out
+                    // of the tail of the option string
+                    if (argCount === 0 && this.prefixChars.indexOf(optionString[1]) < 0) {
+                        actionTuples.push([action, [], optionString]);
+                        optionString = optionString[0] + argExplicit.substr(0, 1);
+                        argExplicit = argExplicit.substr(1) || undefined;
                         if (self._optionStringActions[optionString] !== undefined) {
                             action = self._optionStringActions[optionString];
-                            breaked = true;
-                            break;
+                        } else {
+                            throw new ArgumentError(
+                                action,
+                                $stringPrint(_('Ignored explicit argument "%argument%".'), {
+                                    argument: optionString.substr(1) + (argExplicit || '')
+                                }),
+                                'IGNORED_EXPLICIT_ARGUMENT'
+                            );
                         }
-                    }
-                    if (breaked) {
-                        var message = $stringPrint(_('Ignored explicit argument "%argument%".'), {argument: argExplicit});
-                        throw new ArgumentError(action, message);
-                    }
 
-                    // if the action expect exactly one argument, we've
-                    // successfully matched the option; exit the loop
-                } else if (argCount === 1) {
-                    stop = startIndex + 1;
-                    args = [argExplicit];
-                    actionTuples.push([action, args, optionString]);
-                    break;
+                        // if the action expect exactly one argument, we've
+                        // successfully matched the option; exit the loop
+                    } else if (argCount === 1) {
+                        stop = startIndex + 1;
+                        args = [argExplicit];
+                        actionTuples.push([action, args, optionString]);
+                        break;
 
-                    // error if a double-dash option did not use the
-                    // explicit argument
-                } else {
-                    throw new ArgumentError(
-                        action,
-                        $stringPrint(_('Ignored explicit argument "%argument%".'), {
-                            argument: argExplicit
-                        })
-                    );
-                }
+                        // error if a double-dash option did not use the
+                        // explicit argument
+                    } else {
+                        throw new ArgumentError(
+                            action,
+                            $stringPrint(_('Ignored explicit argument "%argument%".'), {
+                                argument: argExplicit
+                            }),
+                            'IGNORED_EXPLICIT_ARGUMENT'
+                        );
+                    }
 
-                // if there is no explicit argument, try to match the
-                // optional's string arguments with the following strings
-                // if successful, exit the loop
-            } else {
-                var start = startIndex + 1;
-                var argStringsPatternSelected = argStringsPattern.substr(start);
-                argCount = this._matchArgument(action, argStringsPatternSelected);
+                    // if there is no explicit argument, try to match the
+                    // optional's string arguments with the following strings
+                    // if successful, exit the loop
+                } else {
+                    var start = startIndex + 1;
+                    var argStringsPatternSelected = argStringsPattern.substr(start);
+                    argCount = this._matchArgument(action, argStringsPatternSelected);
 
-                stop = start + argCount;
-                args = argStrings.slice(start, stop);
+                    stop = start + argCount;
+                    args = argStrings.slice(start, stop);
 
-                actionTuples.push([action, args, optionString]);
-                break;
+                    actionTuples.push([action, args, optionString]);
+                    break;
+                }
             }
+        } catch (e) {
+            // skip the option string when the error is collected
+            this._reportError(e, startIndex);
+            return startIndex + 1;
         }
 
         // add the Optional to the list and return the index at which
@@ -2206,7 +4175,7 @@ ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
             throw new Error('length should be > 0');
         }
         actionTuples.forEach(function (actionTuple) {
-            takeAction.bind(this).apply(this, actionTuple);
+            takeAction.apply(this, actionTuple.concat([startIndex]));
         }.bind(this));
         return stop;
     }
@@ -2223,13 +4192,18 @@ ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
 
         // slice off the appropriate arg strings for each Positional
         // and add the Positional and its args to the list
-        for (var i = 0; i < positionals.length; i += 1) {
+        for (var i = 0; i < argCounts.length; i += 1) {
             var action = positionals[i];
             var argCount = (argCounts[i] || 0);
             var args = argStrings.slice(startIndex, startIndex + argCount);
 
+            // an empty positional is left to its environment variable or to
+            // the configuration files, if set
+            if (argCount === 0 && (this._getEnv(action) !== undefined || config[action.destination] !== undefined)) {
+                continue;
+            }
+            takeAction.bind(this)(action, args, undefined, argCount > 0 ? startIndex: undefined);
             startIndex += argCount;
-            takeAction.bind(this)(action, args);
         }
 
         // slice off the Positionals that we just parsed and return the index at
@@ -2280,121 +4254,765 @@ ArgumentParser.prototype._parseArgsKnown = function (argStrings, namespace) {
     stopIndex = consumePositionals.bind(this)(startIndex);
 
     // if we didn't consume all the argument strings, there were extras
-    extras = extras.concat(argStrings.slice(stopIndex));
+    extras = extras.concat(argStrings.slice(stopIndex), this._subparserExtras);
 
-    // if we didn't use all the Positional objects, there were too few arg
-    // strings supplied.
-    if (positionals.length > 0) {
-        this.error(1, _('Too few arguments'));
-    }
+    // global arguments are handled by the deepest selected parser: the ones
+    // given to another parser on the command line are seen, and the others
+    // are done once a subparser was selected
+    this._actions.forEach(function (action) {
+        var source;
+        if (!action.global || actionsSeen.indexOf(action) >= 0) {
+            return;
+        }
+        source = namespace.sourceOf(action.destination);
+        if (source !== undefined && (source.source === 'cli' || source.source === 'file')) {
+            actionsSeen.push(action);
+            actionsSeenNonDefault.push(action);
+        } else if (this._subparserSelected !== undefined) {
+            actionsSeen.push(action);
+        }
+    }, this);
+
+    // take the actions missing from the command line from their environment
+    // variable, if set
+    var destinationsSeen = actionsSeen.map(function (action) {
+        return action.destination;
+    });
+    var fallback = function (action, argStringsList, source) {
+        argStringsList.forEach(function (argumentStrings) {
+            takeAction.call(this, action, argumentStrings, undefined, undefined, source);
+        }.bind(this));
+        if (argStringsList.length > 0) {
+            destinationsSeen.push(action.destination);
+            if (positionals.indexOf(action) >= 0) {
+                positionals.splice(positionals.indexOf(action), 1);
+            }
+        }
+    }.bind(this);
 
-    // make sure all required actions were present
     this._actions.forEach(function (action) {
-        if (action.required && actionsSeen.indexOf(action) < 0) {
-            this.error(1, $stringPrint(_('Argument "%argument%" is required'), {argument: action.getName()}));
+        var envValue = this._getEnv(action),
+            envArgStrings = [];
+
+        if (envValue === undefined || actionsSeen.indexOf(action) >= 0 ||
+            this._fallbackSkipped.indexOf(action) >= 0
+        ) {
+            return;
+        }
+        try {
+            envArgStrings = this._getFallbackArgStrings(action, envValue,
+                $stringPrint(_('environment variable %env%'), {env: action.env})
+            );
+        } catch (e) {
+            this._reportError(e);
         }
+        fallback(action, envArgStrings, {source: 'env', env: action.env});
     }.bind(this));
 
-    // make sure all required groups had one option present
-    this._actionGroupsMutex.forEach(function (group) {
-        if (group.required) {
-            var found = false,
-                actionIndex,
-                action,
-                names = [];
-            for (actionIndex in group._groupActions) {
-                if (group._groupActions.hasOwnProperty(actionIndex)) {
-                    action = group._groupActions[actionIndex];
-                    if (actionsSeenNonDefault.indexOf(action) >= 0) {
-                        found = true;
-                        break;
-                    }
+    // then the destinations still missing from the configuration files
+    this._actions.forEach(function (action) {
+        var configValue = config[action.destination],
+            configArgStrings = [],
+            configSource,
+            booleanValue;
+
+        if (configValue === undefined || destinationsSeen.indexOf(action.destination) >= 0 ||
+            this._fallbackSkipped.indexOf(action) >= 0
+        ) {
+            return;
+        }
+        configSource = $stringPrint(_('configuration file %file%'), {file: configValue.file});
+        try {
+            // a constant action is taken when the value is its constant
+            // (ex: "verbose: false" takes a storeFalse --quiet)
+            if (action instanceof ActionStoreConstant) {
+                booleanValue = typeof(configValue.value) === 'string' ? $stringToBoolean(configValue.value): configValue.value;
+                if (typeof(action.constant) === 'boolean' && typeof(booleanValue) !== 'boolean') {
+                    throw new ArgumentError(
+                        action,
+                        $stringPrint(_('Invalid boolean value: %value% (%source%)'), {value: configValue.value, source: configSource}),
+                        'INVALID_VALUE'
+                    );
                 }
+                if (configValue.value === action.constant ||
+                    typeof(action.constant) === 'boolean' && booleanValue === action.constant
+                ) {
+                    configArgStrings = [[]];
+                }
+            } else {
+                configArgStrings = this._getFallbackArgStrings(action, configValue.value, configSource);
+                destinationsSeen.push(action.destination);
             }
-            // if no actions were used, report the error
-            if (found) {
-                group._groupActions.forEach(function (action) {
-                    if (action.help !== SUPPRESS) {
-                        names.push(action.getName());
-                    }
-                });
-                this.error(1, $stringPrint(_('One of the arguments %arguments% is required.'), {arguments: names.join(' ')}));
-            }
+        } catch (e) {
+            this._reportError(e);
         }
+        fallback(action, configArgStrings, {source: 'config', file: configValue.file});
     }.bind(this));
 
+    // and the parser defaults from the configuration files
+    Object.keys(config).forEach(function (destination) {
+        if (!this._actions.some(function (action) { return action.destination === destination; })) {
+            namespace.set(destination, config[destination].value);
+            namespace.setSource(destination, {source: 'config', file: config[destination].file});
+        }
+    }.bind(this));
 
-    // return the updated namespace and the extra arguments
+    step(function () {
+        this._applyImplies(namespace, actionsSeenNonDefault);
+        this._checkRequired(positionals, actionsSeen, actionsSeenNonDefault);
+        this._checkConstraints(namespace, actionsSeenNonDefault);
+    }.bind(this));
+
+    // return the updated namespace and the extra arguments
     return [namespace, extras];
 };
 
-ArgumentParser.prototype._readArgs = function (argStrings) {
-    var result = argStrings.slice();
+/**
+ * Return the value of the environment variable of the action, if set
+ *
+ * @param {Action} action
+ * @return {string}
+ */
+ArgumentParser.prototype._getEnv = function (action) {
+    return action.env ? process.env[action.env]: undefined;
+};
+
+/**
+ * Return the argument strings of each call of the action for a value of its
+ * environment variable or of a configuration file:
+ * <ul>
+ * <li>actions consuming no argument (ex: storeTrue) are taken when the value
+ * is a true boolean ("1", "true", "yes", "on") and ignored when false ("0",
+ * "false", "no", "off", ""), count actions also accept the count and
+ * booleanOptional actions are given the boolean</li>
+ * <li>append actions are called once per comma separated value</li>
+ * <li>actions consuming a list (nargs N, "*", "+" or a range) take the comma
+ * separated values</li>
+ * <li>other actions take the whole value</li>
+ * </ul>
+ * Values from configuration files may also be booleans, numbers or lists,
+ * lists being used as is instead of the comma separated values. Values of
+ * actions with a delimiter are split on it instead.
+ *
+ * @param {Action} action
+ * @param value
+ * @param {string} source where the value comes from, for error messages
+ * @return {Array} list of argument strings lists
+ */
+ArgumentParser.prototype._getFallbackArgStrings = function (action, value, source) {
+    var values, booleanValue, argCount, i, result = [];
+    var invalidValueError = function (message) {
+        return new ArgumentError(
+            action,
+            $stringPrint(message, {value: value, source: source}),
+            'INVALID_VALUE'
+        );
+    };
+
+    if (action.nargs === 0) {
+        if (action instanceof ActionCount && ('' + value).match(/^\s*\d+\s*$/)) {
+            for (i = parseInt(value, 10); i > 0; i -= 1) {
+                result.push([]);
+            }
+            return result;
+        }
+        booleanValue = typeof(value) === 'string' ? $stringToBoolean(value): value;
+        if (typeof(booleanValue) !== 'boolean') {
+            throw invalidValueError(_('Invalid boolean value: %value% (%source%)'));
+        }
+        if (action instanceof ActionBooleanOptional) {
+            return [[booleanValue]];
+        }
+        return booleanValue ? [[]]: [];
+    }
+
+    // delimited values are split with the argument strings
+    if (action.delimiter !== undefined) {
+        return [[].concat(value)];
+    }
+
+    if (Array.isArray(value)) {
+        values = value;
+    } else if (typeof(value) === 'string') {
+        values = value.split(',').map(function (value) {
+            return $stringStrip(value);
+        }).filter(function (value) {
+            return value.length > 0;
+        });
+    } else {
+        values = [value];
+    }
+
+    if (action instanceof ActionAppend && (action.nargs === undefined || action.nargs === OPTIONAL)) {
+        return values.map(function (value) {
+            return [value];
+        });
+    }
+    if (typeof(action.nargs) === 'number' || action.nargs === ZERO_OR_MORE || action.nargs === ONE_OR_MORE ||
+        $nargsRange(action.nargs) !== undefined
+    ) {
+        argCount = this._matchArgument(action, $stringRepeat('A', values.length));
+        if (argCount < values.length) {
+            throw new ArgumentError(action, this._getNargsMessage(action), 'EXPECTED_ARGUMENTS');
+        }
+        return [values];
+    }
+    if (Array.isArray(value)) {
+        throw invalidValueError(_('Invalid value: %value% (%source%)'));
+    }
+    return [[value]];
+};
+
+/**
+ * Return the configuration files discovered from configName, as
+ * {file: path, key: key}, key being the property of the file holding the
+ * values (for package.json). The files are listed from the lowest precedence
+ * to the highest:
+ * <ol>
+ * <li>$XDG_CONFIG_HOME/name/config.json (XDG_CONFIG_HOME defaults to
+ * ~/.config)</li>
+ * <li>~/.namerc</li>
+ * <li>the "name" key of the nearest package.json</li>
+ * <li>the .namerc files of the current directory and its parents, the
+ * nearest last</li>
+ * </ol>
+ * Only the existing files are returned.
+ *
+ * @return {Array}
+ */
+ArgumentParser.prototype.findConfigFiles = function () {
+    var name = this.configName,
+        home = process.env.HOME || process.env.USERPROFILE,
+        configHome = process.env.XDG_CONFIG_HOME || (home && path.join(home, '.config')),
+        directory = process.cwd(),
+        directories = [],
+        files = [],
+        packageDirectory;
+
+    if (name === undefined) {
+        return files;
+    }
+
+    if (configHome) {
+        files.push({file: path.join(configHome, name, 'config.json')});
+    }
+    if (home) {
+        files.push({file: path.join(home, '.' + name + 'rc')});
+    }
+
+    // walk up from the current directory to the root
+    while (directories.indexOf(directory) < 0) {
+        directories.push(directory);
+        directory = path.dirname(directory);
+    }
+    packageDirectory = directories.filter(function (directory) {
+        return fs.existsSync(path.join(directory, 'package.json'));
+    })[0];
+    if (packageDirectory !== undefined) {
+        files.push({file: path.join(packageDirectory, 'package.json'), key: name});
+    }
+    directories.reverse().forEach(function (directory) {
+        files.push({file: path.join(directory, '.' + name + 'rc')});
+    });
+
+    // a file found twice (ex: ~/.namerc from a directory of the home) keeps
+    // its highest precedence
+    return files.filter(function (file, fileIndex) {
+        return fs.existsSync(file.file) && !files.slice(fileIndex + 1).some(function (fileNext) {
+            return fileNext.file === file.file;
+        });
+    });
+};
+
+/**
+ * Return the values of the configuration files by destination, as
+ * {value: value, file: path}. The discovered files (see findConfigFiles) are
+ * read first, then the files of configFiles in order, then the file named by
+ * configOption, each one overriding the previous ones. The files read and the
+ * values each one supplied are kept in configSources.
+ *
+ * The format is chosen from the file extension (".json", ".ini", ".yml",
+ * ".yaml", others being read as JSON objects or INI); more formats can be
+ * registered with register('config', extension, parseFunction). Keys are
+ * destinations, dashes being read as underscores.
+ *
+ * @param {string} configPath file named by configOption (optional)
+ * @return {object}
+ */
+ArgumentParser.prototype._readConfig = function (configPath) {
+    var result = {},
+        files = this.findConfigFiles().concat(this.configFiles.map(function (file) {
+            return {file: file, optional: true};
+        }));
+
+    if (configPath !== undefined) {
+        files.push({file: configPath});
+    }
+
+    this.configSources = [];
+    files.forEach(function (file) {
+        var content, values, parse, key, destination;
+        var source = {file: file.file, key: file.key, values: {}};
+        var configError = function (message, error, code) {
+            this._reportError(new ArgumentError(
+                file.file === configPath ? this._configAction: undefined,
+                $stringPrint(message, {file: file.file, error: error && error.message, key: key}),
+                code || 'INVALID_CONFIG'
+            ));
+        }.bind(this);
+
+        try {
+            content = fs.readFileSync(file.file, 'utf8');
+        } catch (e) {
+            if (!file.optional || e.code !== 'ENOENT') {
+                configError(_('Cannot read the configuration file %file%: %error%'), e);
+            }
+            return;
+        }
+
+        parse = this._registryGet('config', path.extname(file.file), this._registryGet('config', null));
+        try {
+            values = parse(content);
+        } catch (e) {
+            configError(_('Invalid configuration file %file%: %error%'), e);
+            return;
+        }
+        if (file.key !== undefined && values !== null && typeof(values) === 'object') {
+            values = values.hasOwnProperty(file.key) ? values[file.key]: {};
+        }
+        if (values === null || typeof(values) !== 'object' || Array.isArray(values)) {
+            configError(_('Invalid configuration file %file%: %error%'), {message: _('not an object')});
+            return;
+        }
+
+        this.configSources.push(source);
+        for (key in values) {
+            if (values.hasOwnProperty(key) && values[key] !== null && values[key] !== undefined) {
+                destination = key.replace(/-/g, '_');
+                if (this._isConfigDestination(destination)) {
+                    // the value supplied by a previous file is overridden
+                    if (result[destination] !== undefined) {
+                        delete result[destination].source.values[destination];
+                    }
+                    source.values[destination] = values[key];
+                    result[destination] = {value: values[key], file: file.file, source: source};
+                } else {
+                    configError(_('Unknown key "%key%" in the configuration file %file%'), undefined, 'UNKNOWN_CONFIG_KEY');
+                }
+            }
+        }
+    }.bind(this));
+    return result;
+};
+
+/**
+ * Return true if the destination can be set by configuration files: the
+ * destination of an argument (but the configuration file one) or a parser
+ * default.
+ *
+ * @param {string} destination
+ * @return {boolean}
+ */
+ArgumentParser.prototype._isConfigDestination = function (destination) {
+    return this._defaults.hasOwnProperty(destination) || this._actions.some(function (action) {
+        return action.destination === destination && action !== this._configAction &&
+            action.destination !== SUPPRESS && action.defaultValue !== SUPPRESS;
+    }.bind(this));
+};
+
+/**
+ * Return the actions of an argument referenced by an option string or a
+ * destination (see the requires, conflicts, implies and requiredIf options)
+ *
+ * @param {string} argument
+ * @return {Array}
+ */
+ArgumentParser.prototype._getArgumentActions = function (argument) {
+    if (this._optionStringActions[argument] !== undefined) {
+        return [this._optionStringActions[argument]];
+    }
+    return this._actions.filter(function (action) {
+        return action.destination === argument;
+    });
+};
+
+/**
+ * Throw an error if an argument referenced by the requires, conflicts,
+ * implies or requiredIf options of the actions is unknown
+ */
+ArgumentParser.prototype._checkConstraintArguments = function () {
+    this._actions.forEach(function (action) {
+        var constraints = {
+            requires: action.requires || [],
+            conflicts: action.conflicts || [],
+            implies: Object.keys(action.implies || {}),
+            requiredIf: Object.keys(action.requiredIf || {})
+        };
+
+        Object.keys(constraints).forEach(function (option) {
+            constraints[option].forEach(function (argument) {
+                if (this._getArgumentActions(argument).length === 0) {
+                    throw new Error($stringPrint(_('Unknown argument "%argument%" in the %option% option of "%name%".'), {
+                        argument: argument,
+                        option: option,
+                        name: action.getName()
+                    }));// ValueError
+                }
+            }, this);
+        }, this);
+    }, this);
+};
+
+/**
+ * Set the values implied by the arguments given, unless given too. Implied
+ * arguments count as given, so their own implications are applied too.
+ * String values are converted by the type of the implied argument, and
+ * checked against its choices.
+ *
+ * @param {Namespace} namespace
+ * @param {Array} actionsSeenNonDefault
+ */
+ArgumentParser.prototype._applyImplies = function (namespace, actionsSeenNonDefault) {
+    var action, argument, actionsImplied, actionImplied, actionIndex, value;
+
+    for (actionIndex = 0; actionIndex < actionsSeenNonDefault.length; actionIndex += 1) {
+        action = actionsSeenNonDefault[actionIndex];
+        for (argument in action.implies) {
+            if (!action.implies.hasOwnProperty(argument)) {
+                continue;
+            }
+            actionsImplied = this._getArgumentActions(argument);
+            if (actionsImplied.some(function (actionImplied) {
+                return actionsSeenNonDefault.indexOf(actionImplied) >= 0;
+            })) {
+                continue;
+            }
+            actionImplied = actionsImplied[0];
+            try {
+                value = this._getValueImplied(actionImplied, action.implies[argument]);
+            } catch (e) {
+                if (e instanceof ArgumentError) {
+                    e.message = $stringPrint(_('%message% (implied by "%argument%")'), {
+                        message: e.message,
+                        argument: action.getName()
+                    });
+                }
+                this._reportError(e);
+                continue;
+            }
+            namespace.set(actionImplied.destination, value);
+            namespace.setSource(actionImplied.destination, {source: 'implied', argument: action.getName()});
+            actionsSeenNonDefault.push(actionImplied);
+        }
+    }
+};
+
+/**
+ * Return an implied value of the action (see _applyImplies), the items of a
+ * list being converted and checked each
+ *
+ * @param {Action} action
+ * @param value
+ * @return value
+ */
+ArgumentParser.prototype._getValueImplied = function (action, value) {
+    var values = (Array.isArray(value) ? value: [value]).map(function (item) {
+        if (typeof(item) === 'string') {
+            item = this._getValue(action, item);
+            this._checkValueSync(action, item);
+        }
+        return this._checkValue(action, item);
+    }, this);
+
+    return Array.isArray(value) ? values: values[0];
+};
+
+/**
+ * Report the arguments given without the arguments they require, and the
+ * arguments missing while required by the value of others (see the requires
+ * and requiredIf options)
+ *
+ * @param {Namespace} namespace
+ * @param {Array} actionsSeenNonDefault
+ */
+ArgumentParser.prototype._checkConstraints = function (namespace, actionsSeenNonDefault) {
+    var isSeen = function (argument) {
+        return this._getArgumentActions(argument).some(function (action) {
+            return actionsSeenNonDefault.indexOf(action) >= 0;
+        });
+    }.bind(this);
+
+    this._actions.forEach(function (action) {
+        var argument, destination, values;
+
+        // arguments given without the arguments they require
+        if (action.requires !== undefined && actionsSeenNonDefault.indexOf(action) >= 0) {
+            action.requires.forEach(function (argument) {
+                if (!isSeen(argument)) {
+                    this._reportError(new ArgumentError(
+                        action,
+                        $stringPrint(_('Requires argument "%argument%".'), {argument: argument}),
+                        'REQUIRES'
+                    ));
+                }
+            }.bind(this));
+        }
+
+        // arguments missing while the value of others requires them
+        if (action.requiredIf !== undefined && actionsSeenNonDefault.indexOf(action) < 0) {
+            for (argument in action.requiredIf) {
+                if (action.requiredIf.hasOwnProperty(argument)) {
+                    destination = (this._getArgumentActions(argument)[0] || {destination: argument}).destination;
+                    values = [].concat(action.requiredIf[argument]);
+                    if (values.indexOf(namespace.get(destination)) >= 0) {
+                        this._reportError(new ArgumentError(
+                            action,
+                            $stringPrint(_('Required when %other% is "%value%".'), {
+                                other: argument,
+                                value: namespace.get(destination)
+                            }),
+                            'REQUIRED_IF'
+                        ));
+                    }
+                }
+            }
+        }
+    }.bind(this));
+};
+
+/**
+ * Report the missing positionals, required actions and required groups
+ *
+ * @param {Array} positionals the positionals left to be parsed
+ * @param {Array} actionsSeen
+ * @param {Array} actionsSeenNonDefault
+ */
+ArgumentParser.prototype._checkRequired = function (positionals, actionsSeen, actionsSeenNonDefault) {
+    // if we didn't use all the Positional objects, there were too few arg
+    // strings supplied.
+    positionals.forEach(function (action) {
+        this._reportError(new ArgumentError(action, _('Too few arguments'), 'TOO_FEW_ARGUMENTS'));
+    }.bind(this));
+
+    // make sure all required actions were present
+    this._actions.forEach(function (action) {
+        if (action.required && actionsSeen.indexOf(action) < 0 && positionals.indexOf(action) < 0) {
+            this._reportError(new ArgumentError(
+                action,
+                $stringPrint(_('Argument "%argument%" is required'), {argument: action.getName()}),
+                'REQUIRED'
+            ));
+        }
+    }.bind(this));
+
+    // make sure all required groups had one option present
+    this._actionGroupsMutex.forEach(function (group) {
+        if (group.required) {
+            var found = false,
+                actionIndex,
+                action,
+                names = [];
+            for (actionIndex in group._groupActions) {
+                if (group._groupActions.hasOwnProperty(actionIndex)) {
+                    action = group._groupActions[actionIndex];
+                    if (actionsSeenNonDefault.indexOf(action) >= 0) {
+                        found = true;
+                        break;
+                    }
+                }
+            }
+            // if no actions were used, report the error
+            if (!found) {
+                group._groupActions.forEach(function (action) {
+                    if (action.help !== SUPPRESS) {
+                        names.push(action.getName());
+                    }
+                });
+                this._reportError(new ArgumentError(
+                    undefined,
+                    $stringPrint(_('One of the arguments %arguments% is required.'), {arguments: names.join(' ')}),
+                    'REQUIRED_GROUP'
+                ));
+            }
+        }
+    }.bind(this));
+
+    // make sure inclusive groups had all or none of their options present,
+    // and counted groups the right count
+    [].concat(this._actionGroupsInclusive, this._actionGroupsCount).forEach(function (group) {
+        var seen = [],
+            missing = [],
+            getName = function (action) {
+                return action.getName();
+            };
+
+        // groups of actions parsed by another pass are already checked
+        if (group._groupActions.every(function (action) {
+            return this._fallbackSkipped.indexOf(action) >= 0;
+        }.bind(this))) {
+            return;
+        }
+
+        group._groupActions.forEach(function (action) {
+            if (actionsSeenNonDefault.indexOf(action) >= 0) {
+                seen.push(action);
+            } else if (action.help !== SUPPRESS) {
+                missing.push(action);
+            }
+        });
+
+        if (group instanceof ArgumentGroupInclusive) {
+            if (missing.length > 0 && (seen.length > 0 || group.required)) {
+                this._reportError(new ArgumentError(
+                    undefined,
+                    $stringPrint(seen.length > 0 ?
+                        _('The arguments %missing% are required with %seen%.'):
+                        _('The arguments %missing% are required.'), {
+                            missing: missing.map(getName).join(' '),
+                            seen: seen.map(getName).join(' ')
+                        }),
+                    'INCLUSIVE_GROUP'
+                ));
+            }
+        } else if (seen.length < group.minCount) {
+            this._reportError(new ArgumentError(
+                undefined,
+                $stringPrint(_('At least %count% of the arguments %arguments% are required.'), {
+                    count: group.minCount,
+                    arguments: group._groupActions.filter(function (action) {
+                        return action.help !== SUPPRESS;
+                    }).map(getName).join(' ')
+                }),
+                'GROUP_COUNT'
+            ));
+        } else if (group.maxCount !== undefined && seen.length > group.maxCount) {
+            this._reportError(new ArgumentError(
+                undefined,
+                $stringPrint(_('At most %count% of the arguments %arguments% are allowed.'), {
+                    count: group.maxCount,
+                    arguments: seen.map(getName).join(' ')
+                }),
+                'GROUP_COUNT'
+            ));
+        }
+    }.bind(this));
+};
+
+/**
+ * Throw a parsing error, or collect it when called from safeParse(). Errors
+ * other than ArgumentError are always thrown.
+ *
+ * @param {ArgumentError} error
+ * @param {number} index of the offending argument string (optional)
+ */
+ArgumentParser.prototype._reportError = function (error, index) {
+    if (!(error instanceof ArgumentError)) {
+        throw error;
+    }
+    if (error.index === undefined) {
+        error.index = index;
+    }
+    if (this._errorsCollected === undefined) {
+        throw error;
+    }
+    this._errorsCollected.push(error);
+};
+
+/**
+ * Return the argument strings, files of arguments being replaced by their
+ * content. Where each returned argument string comes from is pushed to
+ * origins, as {index: index, file: path}, index being the index in argStrings
+ * and file the file of arguments, if any.
+ *
+ * @param {Array} argStrings
+ * @param {Array} origins (optional)
+ * @return {Array}
+ */
+ArgumentParser.prototype._readArgs = function (argStrings, origins) {
+    origins = origins || [];
     // replace arg strings that are file references
     if (this.prefixCharsFile !== undefined) {
-        result = this._readArgsFromFiles(result);
+        return this._readArgsFromFiles(argStrings, origins);
     }
-    return result;
+    argStrings.forEach(function (argString, argStringIndex) {
+        origins.push({index: argStringIndex});
+    });
+    return argStrings.slice();
 };
 
-ArgumentParser.prototype._readArgsFromFiles = function (argStrings) {
+ArgumentParser.prototype._readArgsFromFiles = function (argStrings, origins, origin) {
     // expand arguments referencing files
     var argStringsNew = [];
-    argStrings.forEach(function (argString) {
+    argStrings.forEach(function (argString, argStringIndex) {
+        var argOrigin = origin || {index: argStringIndex},
+            argLines;
 
         // for regular arguments, just add them back into the list
         if (this.prefixCharsFile.indexOf(argString[0]) < 0) {
             argStringsNew.push(argString);
+            origins.push(argOrigin);
 
             // replace arguments referencing files with the file content
         } else {
             try {
-                // TODO: optimize IO reading?
-                var argsFileContent = fs.readFileSync(argString.substr(1), 'r');
-                var argLines = argsFileContent.split(EOL);
-
-                var argStrings = [];
-                argLines.forEach(function (argLine) {
-                    argLine = [argLine];// convert arg line to args
-                    argLine.forEach(function (arg) {
-                        argStrings.push(arg);
-                    });
-                });
-                argStrings = this._readArgsFromFiles(argStrings);
-                argStringsNew = argStringsNew.concat(argStrings);
-
+                // one argument per line
+                argLines = fs.readFileSync(argString.substr(1), 'utf8').split(/\r?\n/);
+                if (argLines[argLines.length - 1] === '') {
+                    argLines.pop();
+                }
             } catch (e) {// IOError
-                this.error(1, e.getMessage());
+                this.error(1, e.message);
             }
+            argStringsNew = argStringsNew.concat(this._readArgsFromFiles(argLines, origins, {
+                index: argOrigin.index,
+                file: argString.substr(1)
+            }));
         }
-    });
+    }.bind(this));
     // return the modified argument list
     return argStringsNew;
 };
 
 ArgumentParser.prototype._matchArgument = function (action, regexpArgStrings) {
     // match the pattern for this action to the arg strings
-    var regexpNargs = this._getRegexpNargs(action);
+    var regexpNargs = new RegExp('^' + this._getRegexpNargs(action).source);
     var matches = regexpArgStrings.match(regexpNargs);
     var message;
 
     // throw an exception if we weren't able to find a match
     if (!matches) {
-        if (action.nargs === undefined) {
-            message = _('Expected one argument.');
-        } else if (action.nargs === OPTIONAL) {
-            message = _('Expected at most one argument.');
-        } else if (action.nargs === ONE_OR_MORE) {
-            message = _('Expected at least one argument.');
-        } else {
-            message = _('Expected %count% argument(s)');
-        }
-        throw new ArgumentError(action, $stringPrint(message, {count: action.nargs}));
+        throw new ArgumentError(action, this._getNargsMessage(action), 'EXPECTED_ARGUMENTS');
     }
     // return the number of arguments matched
     return matches[1].length;
 };
 
+/**
+ * Return the message of an action given an unexpected number of arguments
+ *
+ * @param {Action} action
+ * @return {string}
+ */
+ArgumentParser.prototype._getNargsMessage = function (action) {
+    var range = $nargsRange(action.nargs),
+        message;
+
+    if (action.nargs === undefined) {
+        message = _('Expected one argument.');
+    } else if (action.nargs === OPTIONAL) {
+        message = _('Expected at most one argument.');
+    } else if (action.nargs === ONE_OR_MORE) {
+        message = _('Expected at least one argument.');
+    } else if (range !== undefined && range.max === undefined) {
+        message = _('Expected at least %min% argument(s).');
+    } else if (range !== undefined) {
+        message = _('Expected between %min% and %max% arguments.');
+    } else {
+        message = _('Expected %count% argument(s)');
+    }
+    return $stringPrint(message, {count: action.nargs, min: range && range.min, max: range && range.max});
+};
+
 ArgumentParser.prototype._matchArgumentsPartial =  function (actions, regexpArgStrings) {
     // progressively shorten the actions list by slicing off the
     // final actions until we find a match
@@ -2405,18 +5023,18 @@ ArgumentParser.prototype._matchArgumentsPartial =  function (actions, regexpArgS
         matches,
         i,
         getRegexpNargs = function (action) {
-            return self._getRegexpNargs(action);
+            return self._getRegexpNargs(action).source;
         },
         getLength = function (string) {
             return string.length;
         };
     for (i = actions.length; i > 0; i -= 1) {
         actionSlice = actions.slice(0, i);
-        pattern = actionSlice.map(getRegexpNargs).join('');
+        pattern = new RegExp('^' + actionSlice.map(getRegexpNargs).join(''));
 
         matches = regexpArgStrings.match(pattern);
         if (matches && matches.length > 0) {
-            result = result.concat(matches.map(getLength));
+            result = result.concat(matches.slice(1).map(getLength));
             break;
         }
     }
@@ -2469,7 +5087,11 @@ ArgumentParser.prototype._parseOptional = function (argString) {
             return optionTuple[1];// optionTuple(action, optionString,
             // argExplicit)
         });
-        this.error(1, $stringPrint(_('Ambiguous option: "%argument%" could match %values%.'), {argument: argString, values: optionStrings.join(', ')}));
+        throw new ArgumentError(
+            argString,
+            $stringPrint(_('Ambiguous option: "%argument%" could match %values%.'), {argument: argString, values: optionStrings.join(', ')}),
+            'AMBIGUOUS_OPTION'
+        );
         // if exactly one action matched, this segmentation is good,
         // so return the parsed action
     } else if (optionTuples.length === 1) {
@@ -2479,7 +5101,7 @@ ArgumentParser.prototype._parseOptional = function (argString) {
     // if it was not found as an option, but it looks like a negative
     // number, it was meant to be positional
     // unless there are negative-number-like options
-    if (argString.match(this._regexpNegativeNumber) && !this._hasNegativeNumberOptionals) {
+    if (argString.match(this._regexpNegativeNumber) && this._hasNegativeNumberOptionals.length === 0) {
         return undefined;
     }
     // if it contains a space, it was meant to be a positional
@@ -2503,10 +5125,10 @@ ArgumentParser.prototype._getOptionTuples = function (optionString) {
     // the '='
     if (chars.indexOf(optionString[0]) >= 0 && chars.indexOf(optionString[1]) >= 0) {
         if (optionString.indexOf('=') >= 0) {
-            var optionStringSplit = optionString.split('=', 1);
+            var optionStringSplit = optionString.split('=');
 
-            optionPrefix = optionStringSplit[0];
-            argExplicit = optionStringSplit[1];
+            optionPrefix = optionStringSplit.shift();
+            argExplicit = optionStringSplit.join('=');
         } else {
             optionPrefix = optionString;
             argExplicit = undefined;
@@ -2514,8 +5136,8 @@ ArgumentParser.prototype._getOptionTuples = function (optionString) {
 
         for (var optionStringAction in this._optionStringActions) {
             if (optionStringAction.substr(0, optionPrefix.length) === optionPrefix) {
-                action = this._optionStringActions[optionString];
-                result.push([action, optionString, argExplicit]);
+                action = this._optionStringActions[optionStringAction];
+                result.push([action, optionStringAction, argExplicit]);
             }
         }
 
@@ -2528,14 +5150,14 @@ ArgumentParser.prototype._getOptionTuples = function (optionString) {
         var optionPrefixShort = optionString.substr(0, 2);
         var argExplicitShort = optionString.substr(2);
 
-        this._optionStringActions.forEach(function (optionString) {
-            action = this._optionStringActions[optionString];
-            if (optionString === optionPrefixShort) {
-                result.push([action, optionString, argExplicitShort]);
-            } else if (optionString.substr(0, optionPrefix.length) === optionPrefix) {
-                result.push([action, optionString, argExplicit]);
+        for (var optionStringShort in this._optionStringActions) {
+            action = this._optionStringActions[optionStringShort];
+            if (optionStringShort === optionPrefixShort) {
+                result.push([action, optionStringShort, argExplicitShort]);
+            } else if (optionStringShort.substr(0, optionPrefix.length) === optionPrefix) {
+                result.push([action, optionStringShort, argExplicit]);
             }
-        });
+        }
 
 
         // shouldn't ever get here
@@ -2577,14 +5199,30 @@ ArgumentParser.prototype._getRegexpNargs = function (action) {
     case PARSER:
         regexpNargs = '(-*A[-AO]*)';
         break;
+        // suppressed positionals consume nothing (see parseArgsKnownIntermixed)
+    case SUPPRESS:
+        regexpNargs = '(-*-*)';
+        break;
     default:
-        regexpNargs = '(-*' + 'A' + $stringRepeat('-*A', action.nargs - 1) + '-*)';
+        // allow between min and max arguments
+        if ($nargsRange(action.nargs) !== undefined) {
+            regexpNargs = '(-*' + $stringRepeat('A-*', action.nargs.min) +
+                (action.nargs.max === undefined ? '(?:A-*)*': '(?:A-*){0,' + (action.nargs.max - action.nargs.min) + '}') + ')';
+        } else {
+            // allow specified number of arguments
+            regexpNargs = '(-*' + $stringRepeat('A', action.nargs).split('').join('-*') + '-*)';
+        }
     }
 
     // if this is an optional action, -- is not allowed
     if (action.isOptional()) {
-        regexpNargs = regexpNargs.replace('-*', '');
-        regexpNargs = regexpNargs.replace('-', '');
+        regexpNargs = regexpNargs.replace(/-\*/g, '');
+        regexpNargs = regexpNargs.replace(/-/g, '');
+
+        // an optional given without its argument falls back to its default
+        if (action.nargs === undefined && action.defaultValue !== undefined) {
+            regexpNargs = '(A?)';
+        }
     }
 
     // return the pattern
@@ -2603,46 +5241,70 @@ ArgumentParser.prototype._getValues = function (action, argStrings) {
     }
 
     var value, argString;
+    // delimited argument strings produce the list of their pieces
+    if (argStrings.length > 0 && action.delimiter !== undefined &&
+        [PARSER, REMAINDER, SUPPRESS].indexOf(action.nargs) < 0
+    ) {
+        value = [];
+        argStrings.forEach(function (argString) {
+            var pieces = typeof(argString) === 'string' ? argString.split(action.delimiter): [argString];
+            pieces.forEach(function (piece) {
+                if (typeof(piece) === 'string') {
+                    piece = $stringStrip(piece);
+                    if (piece === '') {
+                        return;
+                    }
+                }
+                value.push(this._checkValue(action, this._getValue(action, piece)));
+            }.bind(this));
+        }.bind(this));
+
     // optional argument produces a default when not present
-    if (argStrings.length === 0 && action.nargs === OPTIONAL) {
+    } else if (argStrings.length === 0 && action.nargs === OPTIONAL) {
         value = (action.isOptional()) ? action.constant: action.defaultValue;
 
         if (typeof(value) === 'string') {
-            value = this._getValue(action, value);
-            this._checkValue(action, value);
+            value = this._checkValue(action, this._getValue(action, value));
         }
 
     // when nargs='*' on a positional, if there were no command-line
     // args, use the default if it is anything other than None
-    } else if (argStrings.length === 0 && action.nargs === ZERO_OR_MORE && action.isPositional()) {
+    } else if (argStrings.length === 0 && action.isPositional() &&
+        (action.nargs === ZERO_OR_MORE || $nargsRange(action.nargs) !== undefined && action.nargs.min === 0)
+    ) {
         value = (action.defaultValue || argStrings);
         this._checkValue(action, value);
 
         // single argument or optional argument produces a single value
     } else if (argStrings.length <= 1 && (action.nargs === undefined || action.nargs === OPTIONAL)) {
-        argString = argStrings[0] || action.defaultValue;
-        value = this._getValue(action, argString);
-        this._checkValue(action, value);
+        argString = argStrings.length > 0 ? argStrings[0]: action.defaultValue;
+        value = this._checkValue(action, this._getValue(action, argString));
 
     // REMAINDER arguments convert all values, checking none
     } else if (action.nargs === REMAINDER) {
         value = argStrings.map(function (v) {
             return this._getValue(action, v);
-        });
+        }.bind(this));
     // PARSER arguments convert all values, but check only the first
     } else if (action.nargs === PARSER) {
         value = argStrings.map(function (v) {
             return this._getValue(action, v);
-        });
-        this._checkValue(action, value[0]);
+        }.bind(this));
+        // parsers actions check their own names (aliases, external commands)
+        if (action._getParserName !== undefined) {
+            value[0] = action._getParserName(value[0]);
+        } else {
+            value[0] = this._checkValue(action, value[0]);
+        }
+
+    // SUPPRESS arguments are not converted nor stored
+    } else if (action.nargs === SUPPRESS) {
+        value = SUPPRESS;
 
     // all other types of nargs produce a list
     } else {
         value = argStrings.map(function (v) {
-            return this._getValue(action, v);
-        }.bind(this));
-        value.forEach(function (v) {
-            this._checkValue(action, v);
+            return this._checkValue(action, this._getValue(action, v));
         }.bind(this));
     }
 
@@ -2654,9 +5316,19 @@ ArgumentParser.prototype._getValue = function (action, argString) {
     var typeFunction = this._registryGet('type', action.type, action.type);
     if (!$isCallable(typeFunction)) {
         var message = $stringPrint(_('%callback% is not callable'), {callback: typeFunction});
-        throw new ArgumentError(action, message);
+        throw new ArgumentError(action, message, 'INVALID_TYPE');
     }
     var result;
+    var invalidValueError = function () {
+        return new ArgumentError(
+            action,
+            $stringPrint(_('Invalid %type% value: %value%'), {
+                type: action.type,
+                value: argString
+            }),
+            'INVALID_VALUE'
+        );
+    };
     // convert the value to the appropriate type
     try {
         result = typeFunction(argString);
@@ -2672,24 +5344,65 @@ ArgumentParser.prototype._getValue = function (action, argString) {
 
         // TypeErrors or ValueErrors also indicate errors
         // catch (TypeError, ValueError):
-        throw new ArgumentError(
-            action,
-            $stringPrint(_('Invalid %type% value: %value%'), {
-                type: action.type,
-                value: argString
-            })
-        );
+        throw invalidValueError();
+    }
+
+    // asynchronous types are rejected the same way (see parseArgsAsync)
+    if ($isThenable(result)) {
+        return result.then(null, function () {
+            throw invalidValueError();
+        });
     }
     // return the converted value
     return result;
 };
 
+/**
+ * Check the converted value and return it. Values of asynchronous types are
+ * checked once resolved.
+ *
+ * @param {Action} action
+ * @param value
+ * @return value
+ */
 ArgumentParser.prototype._checkValue = function (action, value) {
+    if ($isThenable(value)) {
+        return value.then(function (valueResolved) {
+            return this._checkValue(action, valueResolved);
+        }.bind(this));
+    }
+
     // converted value must be one of the choices (if specified)
-    if (action.choices !== undefined && action.choices.indexOf(value) < 0) {
-        var message = $stringPrint(_('Invalid choice: %value% (choose from [%choices%])', {value: value, choices: action.choices.join(', ')}));
-        throw new ArgumentError(action, message);
+    if (action.choices !== undefined) {
+        var choices = Array.isArray(action.choices) ? action.choices: Object.keys(action.choices);
+        if (choices.indexOf(value) < 0) {
+            var message = $stringPrint(_('Invalid choice: %value% (choose from [%choices%])'), {value: value, choices: choices.join(', ')});
+            throw new ArgumentError(action, message, 'INVALID_CHOICE');
+        }
     }
+    return value;
+};
+
+/**
+ * Throw an error if the value (or one of its items), given by a type or an
+ * action while parsing synchronously, is a promise: only parseArgsAsync waits
+ * for them. Their rejections are ignored then.
+ *
+ * @param {Action} action
+ * @param value
+ */
+ArgumentParser.prototype._checkValueSync = function (action, value) {
+    var values = Array.isArray(value) ? value: [value];
+
+    if (!values.some($isThenable)) {
+        return;
+    }
+    values.forEach(function (value) {
+        if ($isThenable(value)) {
+            value.then(null, function () {});
+        }
+    });
+    throw new ArgumentError(action, _('Asynchronous value, parse the arguments with parseArgsAsync().'), 'ASYNCHRONOUS_VALUE');
 };
 
 /*******************************************************************************
@@ -2701,8 +5414,9 @@ ArgumentParser.prototype._checkValue = function (action, value) {
  * @return string
  */
 ArgumentParser.prototype.formatUsage = function () {
-    var formatter = this._getFormatter();
-    formatter.addUsage(this.usage, this._actions, this._actionGroupsMutex);
+    var formatter = this._getFormatter(),
+        parser = this.describe({recursive: false});
+    formatter.addUsage(parser.usageTemplate, parser.actions, parser.checkedGroups);
     return formatter.formatHelp();
 };
 
@@ -2713,26 +5427,31 @@ ArgumentParser.prototype.formatUsage = function () {
  */
 ArgumentParser.prototype.formatHelp = function () {
     var formatter = this._getFormatter();
+    return formatter.render(this.describe({recursive: formatter.recursive}));
+};
 
-    // usage
-    formatter.addUsage(this.usage, this._actions, this._actionGroupsMutex);
-
-    // description
-    formatter.addText(this.description);
-
-    // positionals, optionals and user-defined groups
-    this._actionGroups.forEach(function (actionGroup, actionIndex) {
-        formatter.startSection(actionGroup.title);
-        formatter.addText(actionGroup.description);
-        formatter.addArguments(actionGroup._groupActions);
-        formatter.endSection();
-    });
+/**
+ * Format the help of this parser, the tree of its commands with their help,
+ * and the help of each command, recursively (see the helpCommand option of
+ * addSubparsers)
+ *
+ * @return string
+ */
+ArgumentParser.prototype._formatHelpAll = function () {
+    var formatter = this._getFormatter(),
+        action = this._getActionSubparser(),
+        parsers = [];
 
-    // epilog
-    formatter.addText(this.epilog);
+    if (action === undefined) {
+        return this.formatHelp();
+    }
+    formatter.startSection(_('Commands'));
+    formatter.addArguments(action._getCommandsTree('', parsers));
+    formatter.endSection();
 
-    // determine help from format above
-    return formatter.formatHelp();
+    return [this.formatHelp() + EOL + formatter.formatHelp()].concat(parsers.map(function (parser) {
+        return parser.formatHelp();
+    })).join(EOL);
 };
 
 ArgumentParser.prototype._getFormatter = function () {
@@ -2741,6 +5460,1587 @@ ArgumentParser.prototype._getFormatter = function () {
     return formatter;
 };
 
+/*******************************************************************************
+ * Description methods
+ ******************************************************************************/
+/**
+ * Return a description of the parser that can be serialized to JSON, which
+ * the help formatters render (see HelpFormatter.render):
+ * <ul>
+ * <li>program, description, epilog</li>
+ * <li>usage -- The usage, on a single line.</li>
+ * <li>usageTemplate -- The usage option, if given.</li>
+ * <li>actions -- The arguments: {optionStrings, destination, nargs, type (its
+ * name), choices, defaultValue, required, help, metavar, delimiter, env,
+ * global, requires, conflicts, implies, requiredIf}, with the usage of options
+ * taking no value (optionUsage) and the commands of the subparsers ([{name,
+ * aliases, help, external, parser}]).</li>
+ * <li>groups -- The sections of the help: {title, description,
+ * actions}.</li>
+ * <li>checkedGroups -- The mutually exclusive, inclusive and counted groups:
+ * {kind ("mutex", "inclusive" or "count"), required, minCount, maxCount,
+ * actions, members (the actions, or the alternatives of a mutually exclusive
+ * group, which are actions or nested groups)}.</li>
+ * </ul>
+ * The groups hold the objects of actions. The parsers of the commands are
+ * described too (loading the lazy parsers), unless recursive is false.
+ *
+ * @param {object} options {recursive: boolean}
+ * @return {object}
+ */
+ArgumentParser.prototype.describe = function (options) {
+    var recursive = !options || options.recursive !== false,
+        actions = this._actions.map(function (action) {
+            return this._describeAction(action, recursive);
+        }, this),
+        getActions = function (groupActions) {
+            return groupActions.map(function (action) {
+                return actions[this._actions.indexOf(action)];
+            }, this);
+        }.bind(this),
+        groupsNested = [],
+        describeGroup = function (group) {
+            var description = {
+                kind: group instanceof ArgumentGroupMutex ? 'mutex': (group instanceof ArgumentGroupInclusive ? 'inclusive': 'count'),
+                required: group.required,
+                minCount: group.minCount,
+                maxCount: group.maxCount,
+                actions: getActions(group._groupActions)
+            };
+            description.members = group instanceof ArgumentGroupMutex ? group._getAlternatives().map(function (member) {
+                return member instanceof ArgumentGroup ? describeGroup(member): actions[this._actions.indexOf(member)];
+            }, this): description.actions;
+            return description;
+        }.bind(this),
+        parser;
+
+    // nested groups are described with their parent group
+    this._actionGroupsMutex.forEach(function (group) {
+        groupsNested = groupsNested.concat(group._groupsNested);
+    });
+
+    parser = {
+        program: this.program,
+        usageTemplate: this.usage,
+        description: this.description,
+        epilog: this.epilog,
+        actions: actions,
+        groups: this._actionGroups.map(function (group) {
+            return {title: group.title, description: group.description, actions: getActions(group._groupActions)};
+        }),
+        checkedGroups: this._getActionGroupsChecked().filter(function (group) {
+            return groupsNested.indexOf(group) < 0;
+        }).map(describeGroup)
+    };
+
+    // the usage on a single line
+    parser.usage = $stringStrip(new HelpFormatter({program: this.program, width: Infinity})._formatUsage(
+        parser.usageTemplate, parser.actions, parser.checkedGroups, ''
+    ));
+    return parser;
+};
+
+ArgumentParser.prototype._describeAction = function (action, recursive) {
+    var type = action.type;
+
+    if ($isCallable(type)) {
+        type = type.name || 'function';
+    }
+    return {
+        optionStrings: action.optionStrings.slice(),
+        destination: action.destination,
+        nargs: action.nargs,
+        type: type !== null ? type: undefined,
+        choices: action.choices !== undefined && !Array.isArray(action.choices) ? Object.keys(action.choices): action.choices,
+        defaultValue: $isCallable(action.defaultValue) ? undefined: action.defaultValue,
+        required: action.required,
+        help: action.help,
+        metavar: action.metavar,
+        delimiter: action.delimiter,
+        env: action.env,
+        global: action.global,
+        requires: action.requires,
+        conflicts: action.conflicts,
+        implies: action.implies,
+        requiredIf: action.requiredIf,
+        optionUsage: action.isOptional() && action.nargs === 0 ? action.formatUsage(): undefined,
+        commands: action instanceof ActionSubparser ? action._describeCommands(recursive): undefined
+    };
+};
+
+/*******************************************************************************
+ * Spec methods
+ ******************************************************************************/
+/**
+ * Keys of the specs (see ArgumentParser.fromSpec) with the type of their
+ * values (see SPEC_TYPES), or the list of their values
+ */
+var SPEC_KEYS_PARSER = {
+    program: 'string',
+    usage: 'string',
+    description: 'string',
+    epilog: 'string',
+    version: 'string',
+    help: 'boolean',
+    prefixChars: 'string',
+    prefixCharsFile: 'string',
+    configFiles: 'strings',
+    configName: 'string',
+    configOption: 'names',
+    conflictHandler: ['error', 'resolve'],
+    argumentDefault: 'any',
+    envPrefix: 'string',
+    formatterClass: 'formatter',
+    handler: 'function',
+    defaults: 'object',
+    arguments: 'array',
+    groups: 'array',
+    subparsers: 'object',
+    commands: 'object'
+};
+var SPEC_KEYS_COMMAND = Object.keys(SPEC_KEYS_PARSER).reduce(function (keys, key) {
+    keys[key] = keys[key] || SPEC_KEYS_PARSER[key];
+    return keys;
+}, {help: 'string', aliases: 'strings'});
+var SPEC_KEYS_SUBPARSERS = {
+    title: 'string',
+    description: 'string',
+    destination: 'string',
+    metavar: 'string',
+    help: 'string',
+    allowAbbrev: 'boolean',
+    external: 'any',
+    externalDirectories: 'strings',
+    helpCommand: 'boolean'
+};
+var SPEC_KEYS_GROUP = {
+    title: 'string',
+    description: 'string',
+    mutuallyExclusive: 'boolean',
+    inclusive: 'boolean',
+    required: 'boolean',
+    minCount: 'integer',
+    maxCount: 'integer',
+    arguments: 'array',
+    groups: 'array'
+};
+var SPEC_KEYS_ARGUMENT = {
+    names: 'names',
+    action: 'action',
+    destination: 'string',
+    nargs: 'nargs',
+    constant: 'any',
+    defaultValue: 'any',
+    type: 'type',
+    choices: 'choices',
+    required: 'boolean',
+    help: 'string',
+    metavar: 'names',
+    env: 'any',
+    delimiter: 'string',
+    requires: 'names',
+    conflicts: 'names',
+    implies: 'object',
+    requiredIf: 'object',
+    global: 'boolean',
+    completer: 'function',
+    version: 'string',
+    negationPrefix: 'string'
+};
+
+/**
+ * Checks of the spec values by type, returning why the value is invalid, or
+ * undefined. The action and type names are resolved with the registries of
+ * the container.
+ */
+var SPEC_TYPES = {
+    any: function () {
+        return undefined;
+    },
+    string: function (value) {
+        return typeof(value) !== 'string' ? _('should be a string'): undefined;
+    },
+    'boolean': function (value) {
+        return typeof(value) !== 'boolean' ? _('should be a boolean'): undefined;
+    },
+    integer: function (value) {
+        return typeof(value) !== 'number' || value % 1 !== 0 ? _('should be an integer'): undefined;
+    },
+    'function': function (value) {
+        return !$isCallable(value) ? _('should be a function'): undefined;
+    },
+    object: function (value) {
+        return value === null || typeof(value) !== 'object' || Array.isArray(value) ? _('should be an object'): undefined;
+    },
+    array: function (value) {
+        return !Array.isArray(value) ? _('should be an array'): undefined;
+    },
+    strings: function (value) {
+        return !Array.isArray(value) || value.some(function (item) {
+            return typeof(item) !== 'string';
+        }) ? _('should be an array of strings'): undefined;
+    },
+    names: function (value) {
+        return typeof(value) !== 'string' && SPEC_TYPES.strings(value) !== undefined ?
+            _('should be a string or an array of strings'): undefined;
+    },
+    choices: function (value) {
+        return value === null || typeof(value) !== 'object' ? _('should be an array or an object'): undefined;
+    },
+    nargs: function (value) {
+        return $nargsError(value);
+    },
+    action: function (value, container) {
+        return SPEC_TYPES.type(value, container, 'action');
+    },
+    type: function (value, container, registryName) {
+        registryName = registryName || 'type';
+        if ($isCallable(value)) {
+            return undefined;
+        }
+        if (typeof(value) !== 'string') {
+            return _('should be a name or a function');
+        }
+        if (!$isCallable(container._registryGet(registryName, value))) {
+            return $stringPrint(_('unknown %registry% "%name%"'), {registry: registryName, name: value});
+        }
+        return undefined;
+    },
+    formatter: function (value) {
+        if ($isCallable(value)) {
+            return undefined;
+        }
+        return Object.keys(SPEC_FORMATTERS).indexOf(value) < 0 ?
+            $stringPrint(_('should be a function or one of %names%'), {names: Object.keys(SPEC_FORMATTERS).join(', ')}): undefined;
+    }
+};
+
+/**
+ * Formatter classes that can be named in specs (see formatterClass)
+ */
+var SPEC_FORMATTERS = {
+    HelpFormatter: HelpFormatter,
+    HelpFormatterArgumentDefaults: HelpFormatterArgumentDefaults,
+    HelpFormatterRawDescription: HelpFormatterRawDescription,
+    HelpFormatterRawText: HelpFormatterRawText,
+    HelpFormatterMarkdown: HelpFormatterMarkdown,
+    HelpFormatterHtml: HelpFormatterHtml
+};
+
+/**
+ * Return a parser built from spec, an object (ex: read from a JSON file) made
+ * of the parser options (program, usage, description, epilog, version, help,
+ * prefixChars, configFiles, configOption, envPrefix, formatterClass, ...),
+ * the defaults of the parser (see setDefaults) and:
+ * <ul>
+ * <li>arguments -- The arguments: [{names, action, type, nargs, help, ...}],
+ * names (required) being the option strings, or the destination of a
+ * positional argument, and action and type names of the registries or
+ * functions (see addArgument). A group may be given among them as {group},
+ * to be added between them.</li>
+ * <li>groups -- The groups of arguments, added after them: [{title,
+ * description, mutuallyExclusive, inclusive, required, minCount, maxCount,
+ * arguments, groups}] (see addArgumentGroup).</li>
+ * <li>subparsers -- The options of the subparsers (see addSubparsers).</li>
+ * <li>commands -- The parsers of the subparsers by name, specs with their
+ * help and aliases too (ex: {deploy: {help, aliases, arguments, commands}}).</li>
+ * </ul>
+ * The spec is checked while the parser is built, the errors giving the path
+ * of the invalid value (ex: "Invalid spec at commands.deploy.arguments[2].nargs:
+ * ..."). Options are the parser options not in the spec (ex: debug, stdout,
+ * stderr).
+ *
+ * @param {object} spec
+ * @param {object} options
+ * @return {ArgumentParser}
+ */
+ArgumentParser.fromSpec = function (spec, options) {
+    var parser;
+
+    $specCheck(undefined, spec, SPEC_KEYS_PARSER, '');
+    parser = $specCall('', function () {
+        return new ArgumentParser($specOptions(spec, ['defaults', 'arguments', 'groups', 'subparsers', 'commands'], options));
+    });
+    parser._addSpec(spec, '');
+    return parser;
+};
+
+/**
+ * Add the defaults, arguments, groups and commands of spec, at path
+ *
+ * @param {object} spec
+ * @param {string} path
+ */
+ArgumentParser.prototype._addSpec = function (spec, path) {
+    var prefix = path ? path + '.': '',
+        commands = spec.commands || {},
+        action;
+
+    if (spec.defaults !== undefined) {
+        this.setDefaults(spec.defaults);
+    }
+    this._addSpecArguments(spec, path);
+
+    if (spec.subparsers === undefined && spec.commands === undefined) {
+        return;
+    }
+    $specCheck(this, spec.subparsers || {}, SPEC_KEYS_SUBPARSERS, prefix + 'subparsers');
+    action = $specCall(prefix + 'subparsers', function () {
+        return this.addSubparsers($specOptions(spec.subparsers || {}, []));
+    }, this);
+    Object.keys(commands).forEach(function (name) {
+        var commandPath = prefix + 'commands.' + name,
+            parser;
+
+        $specCheck(this, commands[name], SPEC_KEYS_COMMAND, commandPath);
+        parser = $specCall(commandPath, function () {
+            return action.addParser(name, $specOptions(commands[name], ['defaults', 'arguments', 'groups', 'subparsers', 'commands']));
+        });
+        parser._addSpec(commands[name], commandPath);
+    }, this);
+};
+
+/**
+ * Add the arguments and groups of spec, at path, to this container
+ *
+ * @param {object} spec
+ * @param {string} path
+ */
+ActionContainer.prototype._addSpecArguments = function (spec, path) {
+    var prefix = path ? path + '.': '',
+        addGroup;
+
+    addGroup = function (group, groupPath) {
+        var container;
+
+        $specCheck(this, group, SPEC_KEYS_GROUP, groupPath);
+        container = $specCall(groupPath, function () {
+            return this.addArgumentGroup($specOptions(group, ['mutuallyExclusive', 'arguments', 'groups']),
+                group.mutuallyExclusive);
+        }, this);
+        container._addSpecArguments(group, groupPath);
+    }.bind(this);
+
+    (spec.arguments || []).forEach(function (argument, index) {
+        var argumentPath = prefix + 'arguments[' + index + ']';
+
+        // a group between the arguments
+        if (SPEC_TYPES.object(argument) === undefined && argument.group !== undefined) {
+            $specCheck(this, argument, {group: 'object'}, argumentPath);
+            addGroup(argument.group, argumentPath + '.group');
+            return;
+        }
+        $specCheck(this, argument, SPEC_KEYS_ARGUMENT, argumentPath);
+        if ([].concat(argument.names || []).length === 0) {
+            throw $specError(argumentPath + '.names', _('required'));
+        }
+        $specCall(argumentPath, function () {
+            this.addArgument([].concat(argument.names), $specOptions(argument, ['names']));
+        }, this);
+    }, this);
+
+    (spec.groups || []).forEach(function (group, index) {
+        addGroup(group, prefix + 'groups[' + index + ']');
+    });
+};
+
+/**
+ * Return the error of the spec value at path
+ */
+var $specError = function (path, message) {
+    return new Error($stringPrint(path ? _('Invalid spec at %path%: %message%'): _('Invalid spec: %message%'), {
+        path: path,
+        message: message
+    }));// ValueError
+};
+
+/**
+ * Check that the spec at path is an object with the given keys, and the
+ * types of their values
+ */
+var $specCheck = function (container, spec, keys, path) {
+    var message = SPEC_TYPES.object(spec);
+
+    if (message !== undefined) {
+        throw $specError(path, message);
+    }
+    Object.keys(spec).forEach(function (key) {
+        var type = keys[key];
+
+        if (!keys.hasOwnProperty(key)) {
+            message = _('unknown key');
+        } else if (spec[key] === undefined) {
+            message = undefined;
+        } else if (Array.isArray(type)) {
+            message = type.indexOf(spec[key]) < 0 ? $stringPrint(_('should be one of %values%'), {
+                values: type.map(function (value) {
+                    return JSON.stringify(value);
+                }).join(', ')
+            }): undefined;
+        } else {
+            message = SPEC_TYPES[type](spec[key], container);
+        }
+        if (message !== undefined) {
+            throw $specError((path ? path + '.': '') + key, message);
+        }
+    });
+};
+
+/**
+ * Call callback, the errors (ex: of addArgument) being errors of the spec
+ * value at path
+ */
+var $specCall = function (path, callback, thisArg) {
+    try {
+        return callback.call(thisArg);
+    } catch (error) {
+        throw $specError(path, error.message);
+    }
+};
+
+/**
+ * Return a copy of the options of spec, with the given options, but the
+ * skipped keys
+ */
+var $specOptions = function (spec, skipped, options) {
+    var result = {},
+        key;
+
+    for (key in options) {
+        if (options.hasOwnProperty(key)) {
+            result[key] = options[key];
+        }
+    }
+    for (key in spec) {
+        if (spec.hasOwnProperty(key) && spec[key] !== undefined && skipped.indexOf(key) < 0) {
+            result[key] = Array.isArray(spec[key]) ? spec[key].slice(): spec[key];
+        }
+    }
+    return result;
+};
+
+/**
+ * Return the spec of the parser (see ArgumentParser.fromSpec), which builds
+ * the same parser. Options with their default values are left out, and so
+ * are the help and version arguments added by the parser, and the global
+ * arguments inherited from a parent parser. The lazy parsers of the commands
+ * are loaded. Actions and types missing from the registries, handlers and
+ * completers are given as functions: the spec can be serialized to JSON
+ * without them.
+ *
+ * @return {object}
+ */
+ArgumentParser.prototype.toSpec = function () {
+    return this._toSpec(undefined);
+};
+
+ArgumentParser.prototype._toSpec = function (programDefault) {
+    var spec = {},
+        action = this._getActionSubparser(),
+        groupsChecked = this._getActionGroupsChecked(),
+        defaults = {},
+        options = {
+            program: this.program !== programDefault ? this.program: undefined,
+            usage: this.usage,
+            description: this.description,
+            epilog: this.epilog,
+            version: this.version,
+            help: this._helpAction !== undefined && programDefault === undefined ? true: undefined,
+            prefixChars: this.prefixChars !== '-' ? this.prefixChars: undefined,
+            prefixCharsFile: this.prefixCharsFile,
+            configFiles: this.configFiles.length > 0 ? this.configFiles.slice(): undefined,
+            configName: this.configName,
+            configOption: this._configAction !== undefined ? this._configAction.optionStrings.slice(): undefined,
+            conflictHandler: this.conflictHandler !== 'error' ? this.conflictHandler: undefined,
+            argumentDefault: this.argumentDefault,
+            envPrefix: this.envPrefix,
+            formatterClass: this.formatterClass !== 'HelpFormatter' ? this.formatterClass: undefined
+        },
+        skipped = [this._helpAction, this._versionAction, this._configAction].concat(
+            this._inherited !== undefined ? this._inherited._groupActions: []
+        ),
+        sections = this._actionGroups.filter(function (group) {
+            return [this._positionals, this._optionals, this._subparsers, this._inherited].indexOf(group) < 0 &&
+                !(group instanceof ArgumentGroupMutex);
+        }, this),
+        key;
+
+    for (key in options) {
+        if (options[key] !== undefined) {
+            spec[key] = options[key];
+        }
+    }
+    for (key in this._defaults) {
+        if (this._defaults.hasOwnProperty(key)) {
+            defaults[key] = this._defaults[key];
+        }
+    }
+    if (Object.keys(defaults).length > 0) {
+        spec.defaults = defaults;
+    }
+
+    // the arguments of the parser, then its help sections and the groups not
+    // held by another group
+    $specArguments(this, spec, this._actions.filter(function (action) {
+        return [this._positionals, this._optionals, this._subparsers].indexOf(action.container) >= 0 &&
+            skipped.indexOf(action) < 0 && !(action instanceof ActionSubparser);
+    }, this), sections.concat(groupsChecked.filter(function (group) {
+        return sections.indexOf(group._container) < 0 && groupsChecked.indexOf(group._container) < 0;
+    })), groupsChecked);
+
+    if (action !== undefined) {
+        $specSubparsers(this, action, spec);
+    }
+    return spec;
+};
+
+/**
+ * Add the specs of the actions, and of the groups, with the actions of the
+ * groups left out, to spec. The groups are in the order of their first
+ * actions, and the groups followed by actions are given among the actions
+ * (as {group}), so that the built parser has its actions in the same order.
+ */
+var $specArguments = function (parser, spec, actions, groups, groupsChecked) {
+    var getIndex = function (group) {
+            return group._groupActions.length > 0 ? parser._actions.indexOf(group._groupActions[0]): Infinity;
+        },
+        items,
+        itemLast = -1;
+
+    groups.forEach(function (group) {
+        actions = actions.filter(function (action) {
+            return group._groupActions.indexOf(action) < 0;
+        });
+    });
+    items = actions.map(function (action) {
+        return {index: parser._actions.indexOf(action), action: action};
+    }).concat(groups.map(function (group) {
+        return {index: getIndex(group), group: group};
+    })).sort(function (a, b) {
+        return a.index - b.index;
+    });
+    items.forEach(function (item, index) {
+        if (item.action !== undefined) {
+            itemLast = index;
+        }
+    });
+
+    if (itemLast >= 0) {
+        spec.arguments = items.slice(0, itemLast + 1).map(function (item) {
+            return item.action !== undefined ? parser._toSpecArgument(item.action):
+                {group: $specGroup(parser, item.group, groupsChecked)};
+        });
+    }
+    if (itemLast < items.length - 1) {
+        spec.groups = items.slice(itemLast + 1).map(function (item) {
+            return $specGroup(parser, item.group, groupsChecked);
+        });
+    }
+};
+
+/**
+ * Return the spec of a group, with its nested groups
+ */
+var $specGroup = function (parser, group, groupsChecked) {
+    var spec = {},
+        options = {
+            title: group.title,
+            description: group.description,
+            mutuallyExclusive: group instanceof ArgumentGroupMutex ? true: undefined,
+            inclusive: group instanceof ArgumentGroupInclusive ? true: undefined,
+            required: group.required && !(group instanceof ArgumentGroupCount) ? true: undefined,
+            minCount: group.minCount,
+            maxCount: group.maxCount
+        };
+
+    for (var key in options) {
+        if (options[key] !== undefined) {
+            spec[key] = options[key];
+        }
+    }
+    $specArguments(parser, spec, group._groupActions, groupsChecked.filter(function (groupChecked) {
+        return groupChecked._container === group;
+    }), groupsChecked);
+    return spec;
+};
+
+/**
+ * Add the subparsers options and the commands of action to spec
+ */
+var $specSubparsers = function (parser, action, spec) {
+    var subparsers = {},
+        options = {
+            title: parser._subparsers !== parser._positionals ? parser._subparsers.title: undefined,
+            description: parser._subparsers !== parser._positionals ? parser._subparsers.description: undefined,
+            destination: action.destination !== SUPPRESS ? action.destination: undefined,
+            metavar: action.metavar,
+            help: action.help,
+            allowAbbrev: action.allowAbbrev || undefined,
+            external: action.external || undefined,
+            externalDirectories: action.externalDirectories.length > 0 ? action.externalDirectories.slice(): undefined,
+            helpCommand: action.helpCommand || undefined
+        };
+
+    for (var key in options) {
+        if (options[key] !== undefined) {
+            subparsers[key] = options[key];
+        }
+    }
+    if (Object.keys(subparsers).length > 0) {
+        spec.subparsers = subparsers;
+    }
+    spec.commands = {};
+    action._describeCommands(false).forEach(function (command) {
+        var commandParser,
+            commandSpec = {},
+            parserSpec;
+
+        if (command.external) {
+            return;
+        }
+        commandParser = action._getParser(command.name);
+        if (commandParser === action._helpParser) {
+            return;
+        }
+        if (command.help !== undefined) {
+            commandSpec.help = command.help;
+        }
+        if (command.aliases.length > 0) {
+            commandSpec.aliases = command.aliases;
+        }
+        parserSpec = commandParser._toSpec(action._programPrefix + ' ' + command.name);
+        for (var key in parserSpec) {
+            commandSpec[key] = parserSpec[key];
+        }
+        spec.commands[command.name] = commandSpec;
+    });
+};
+
+/**
+ * Return the spec of action: its names, its action and its options, those
+ * with the default value of the action class left out
+ *
+ * @param {Action} action
+ * @return {object}
+ */
+ArgumentParser.prototype._toSpecArgument = function (action) {
+    var optional = action.isOptional(),
+        names = optional ? action.optionStrings.filter(function (optionString) {
+            return (action._optionStringsNegative || []).indexOf(optionString) < 0;
+        }): [action.destination],
+        actionName = this._registryName('action', action.constructor),
+        typeName = this._registryName('type', action.type),
+        reference = new action.constructor({
+            optionStrings: optional ? names.slice(): [],
+            destination: optional ? this._getOptionalKwargs(names, {}).destination: action.destination
+        }),
+        defaultValue = this._defaults[action.destination] !== undefined ? this._defaults[action.destination]: this.argumentDefault,
+        spec = {names: names};
+
+    if (action.constructor !== ActionStore) {
+        spec.action = actionName !== undefined ? actionName: action.constructor;
+    }
+    ['destination', 'nargs', 'constant', 'defaultValue', 'type', 'choices', 'required', 'help', 'metavar', 'env',
+        'delimiter', 'requires', 'conflicts', 'implies', 'requiredIf', 'global', 'completer', 'version', 'negationPrefix'
+    ].forEach(function (key) {
+        var value = action[key];
+
+        if (value === undefined || $specEqual(value, reference[key]) ||
+            key === 'required' && !optional ||
+            key === 'defaultValue' && reference.defaultValue === undefined && $specEqual(value, defaultValue) ||
+            key === 'env' && value === this._getEnvDefault(action)
+        ) {
+            return;
+        }
+        if (key === 'type' && typeName !== undefined) {
+            value = typeName;
+        }
+        spec[key] = Array.isArray(value) ? value.slice(): value;
+    }, this);
+    return spec;
+};
+
+var $specEqual = function (a, b) {
+    return a === b || a !== null && typeof(a) === 'object' && JSON.stringify(a) === JSON.stringify(b);
+};
+
+/*******************************************************************************
+ * Man page methods
+ ******************************************************************************/
+/**
+ * Return the man page (roff) of the parser: NAME, SYNOPSIS (the usage),
+ * DESCRIPTION, OPTIONS (the arguments, by group), COMMANDS and NOTES (the
+ * epilog) sections. Arguments whose help is SUPPRESS are left out.
+ *
+ * Options:
+ * <ul>
+ * <li>section -- The manual section (default: 1).</li>
+ * <li>date -- The date of the page (default: today, as "YYYY-MM-DD").</li>
+ * <li>source -- The source of the program (default: the program and its
+ * version, if any).</li>
+ * </ul>
+ *
+ * @param {object} options
+ * @return {string}
+ */
+ArgumentParser.prototype.formatManPage = function (options) {
+    return this._formatManPage(this.describe({recursive: false}), this._getManOptions(options),
+        this.program.split(' ').join('-'));
+};
+
+/**
+ * Return the man pages of the parser and of its commands, recursively, by
+ * file name (ex: {"tool.1": ..., "tool-deploy.1": ...}). Lazy parsers are
+ * loaded. See formatManPage for the options.
+ *
+ * @param {object} options
+ * @return {object}
+ */
+ArgumentParser.prototype.formatManPages = function (options) {
+    var pages = {};
+    this._formatManPages(this.describe(), this._getManOptions(options), this.program.split(' ').join('-'), undefined, pages);
+    return pages;
+};
+
+/**
+ * Write the man pages of the parser and of its commands to the directory
+ * (see formatManPages), and return the paths of the files written
+ *
+ * @param {string} directory
+ * @param {object} options
+ * @return {Array}
+ */
+ArgumentParser.prototype.writeManPages = function (directory, options) {
+    var pages = this.formatManPages(options);
+    return Object.keys(pages).map(function (fileName) {
+        var filePath = path.join(directory, fileName);
+        fs.writeFileSync(filePath, pages[fileName]);
+        return filePath;
+    });
+};
+
+/**
+ * Return the man page options with their defaults (see formatManPage), the
+ * pages of the commands sharing them
+ */
+ArgumentParser.prototype._getManOptions = function (options) {
+    options = options || {};
+    return {
+        section: options.section || 1,
+        date: options.date || new Date().toISOString().substr(0, 10),
+        source: options.source !== undefined ? options.source: (
+            this.version !== undefined ? this.program + ' ' + this.version: ''
+        )
+    };
+};
+
+ArgumentParser.prototype._formatManPages = function (parser, options, name, summary, pages) {
+    pages[name + '.' + options.section] = this._formatManPage(parser, options, name, summary);
+    $manCommands(parser).forEach(function (command) {
+        if (command.parser !== undefined) {
+            this._formatManPages(command.parser, options, name + '-' + command.name, command.help, pages);
+        }
+    }, this);
+};
+
+/**
+ * Return the man page of a parser from its description (see describe)
+ */
+ArgumentParser.prototype._formatManPage = function (parser, options, name, summary) {
+    var formatter = new HelpFormatter({program: parser.program}),
+        commands = $manCommands(parser),
+        lines = [],
+        linesOptions = [],
+        usage = parser.usage.replace(/\s+/g, ' ');
+
+    if (parser.description !== undefined) {
+        summary = parser.description;
+    }
+
+    lines.push('.TH ' + $roffQuote(name.toUpperCase()) + ' ' + options.section + ' ' + $roffQuote(options.date) + ' ' +
+        $roffQuote(options.source));
+
+    lines.push('.SH NAME');
+    lines.push($roffEscape(name) + (summary !== undefined ? ' \\- ' + $roffEscape($helpSummary(summary)): ''));
+
+    // the usage on a single line, roff filling it
+    lines.push('.SH SYNOPSIS');
+    if (usage.substr(0, parser.program.length + 1) === parser.program + ' ') {
+        lines.push('.B ' + $roffEscape(parser.program));
+        usage = usage.substr(parser.program.length + 1);
+    }
+    lines.push($roffEscape(usage));
+
+    if (parser.description !== undefined) {
+        lines.push('.SH DESCRIPTION');
+        lines = lines.concat($roffParagraphs(formatter, parser.description));
+    }
+
+    // one entry per argument, by group, the commands having their section
+    parser.groups.forEach(function (group) {
+        var groupActions = group.actions.filter(function (action) {
+            return action.help !== SUPPRESS && action.commands === undefined;
+        });
+        if (groupActions.length === 0) {
+            return;
+        }
+        if (group.title !== undefined) {
+            linesOptions.push('.SS ' + $roffQuote(group.title));
+        }
+        if (group.description !== undefined) {
+            linesOptions = linesOptions.concat($roffParagraphs(formatter, group.description));
+        }
+        groupActions.forEach(function (action) {
+            var help = formatter._expandHelp(action);
+            linesOptions.push('.TP');
+            linesOptions.push($roffInvocation(formatter, action));
+            if (help !== undefined) {
+                linesOptions.push($roffEscape(help));
+            }
+        });
+    });
+    if (linesOptions.length > 0) {
+        lines = lines.concat(['.SH OPTIONS'], linesOptions);
+    }
+
+    if (parser.actions.some(function (action) { return action.commands !== undefined; })) {
+        lines.push('.SH COMMANDS');
+        commands.forEach(function (command) {
+            lines.push('.TP');
+            lines.push([command.name].concat(command.aliases).map(function (commandName) {
+                return '\\fB' + $roffEscape(commandName) + '\\fR';
+            }).join(', '));
+            if (command.help !== undefined) {
+                lines.push($roffEscape(command.help));
+            }
+        });
+    }
+
+    if (parser.epilog !== undefined) {
+        lines.push('.SH NOTES');
+        lines = lines.concat($roffParagraphs(formatter, parser.epilog));
+    }
+
+    // the pages of the commands (see formatManPages)
+    commands = commands.filter(function (command) {
+        return !command.external;
+    });
+    if (commands.length > 0) {
+        lines.push('.SH SEE ALSO');
+        lines.push(commands.map(function (command) {
+            return '.BR ' + $roffEscape(name + '-' + command.name) + ' (' + options.section + ')';
+        }).join(',' + EOL));
+    }
+    return lines.join(EOL) + EOL;
+};
+
+/**
+ * Return the commands of the description of a parser, but the suppressed
+ * ones
+ */
+var $manCommands = function (parser) {
+    var commands = [];
+    parser.actions.forEach(function (action) {
+        commands = commands.concat((action.commands || []).filter(function (command) {
+            return command.help !== SUPPRESS;
+        }));
+    });
+    return commands;
+};
+
+/**
+ * Return the option strings of the action in bold and its metavars in
+ * italic, or the metavar of a positional in italic
+ */
+var $roffInvocation = function (formatter, action) {
+    var args;
+
+    if (action.optionStrings.length === 0) {
+        return '\\fI' + $roffEscape(formatter._formatActionInvocation(action)) + '\\fR';
+    }
+    args = action.nargs !== 0 ? ' \\fI' + $roffEscape(formatter._formatArgs(action, action.destination.toUpperCase())) + '\\fR': '';
+    return action.optionStrings.map(function (optionString) {
+        return '\\fB' + $roffEscape(optionString) + '\\fR' + args;
+    }).join(', ');
+};
+
+/**
+ * Escape text for roff (backslashes, dashes and control characters starting
+ * lines)
+ */
+var $roffEscape = function (text) {
+    return String(text).replace(/\\/g, '\\e').replace(/-/g, '\\-').split(EOL).map(function (line) {
+        return /^[.']/.test(line) ? '\\&' + line: line;
+    }).join(EOL);
+};
+
+var $roffQuote = function (text) {
+    return '"' + $roffEscape(text).replace(/"/g, '""') + '"';
+};
+
+/**
+ * Return the roff lines of text, each paragraph starting with ".PP"
+ */
+var $roffParagraphs = function (formatter, text) {
+    var lines = [];
+
+    $stringPrint(text, {program: formatter.program}).split(/\n\s*\n/).forEach(function (paragraph) {
+        paragraph = $stringStrip(paragraph);
+        if (paragraph !== '') {
+            lines.push('.PP');
+            lines.push($roffEscape(paragraph.split(EOL).map(function (line) {
+                return $stringStrip(line);
+            }).join(EOL)));
+        }
+    });
+    return lines;
+};
+
+/*******************************************************************************
+ * Completion methods
+ ******************************************************************************/
+/**
+ * Return the completion contexts of this parser and of its commands,
+ * recursively: {path: command names, options: [{optionStrings, nargs,
+ * choices, help, suppressed}], commands: [{name, aliases, help}], choices:
+ * positional choices, dynamic: true if an argument has a completer}.
+ * Arguments whose help is SUPPRESS are left out, except the options taking
+ * values, marked as suppressed: their values are still skipped, but they are
+ * not completed. Lazy parsers are loaded.
+ *
+ * @param {Array} path (optional)
+ * @return {Array}
+ */
+ArgumentParser.prototype._getCompletionContexts = function (path) {
+    var action = this._getActionSubparser(),
+        context = {path: path || [], options: [], commands: [], choices: [], dynamic: false},
+        contexts = [context];
+
+    this._actions.forEach(function (action) {
+        var suppressed = action.help === SUPPRESS;
+
+        if (suppressed && !(action.isOptional() && action.nargs !== 0)) {
+            return;
+        }
+        if (action.completer !== undefined && !suppressed) {
+            context.dynamic = true;
+        }
+        if (action.isOptional()) {
+            context.options.push({
+                optionStrings: action.optionStrings,
+                nargs: action.nargs === 0 ? 0: (typeof(action.nargs) === 'number' ? action.nargs: 1),
+                choices: action.choices !== undefined ?
+                    (Array.isArray(action.choices) ? action.choices: Object.keys(action.choices)).map(String): undefined,
+                help: action.help,
+                suppressed: suppressed
+            });
+        } else if (action.choices !== undefined && !(action instanceof ActionSubparser)) {
+            context.choices = context.choices.concat(
+                (Array.isArray(action.choices) ? action.choices: Object.keys(action.choices)).map(String)
+            );
+        }
+    });
+
+    if (action !== undefined) {
+        Object.keys(action._nameParserMap).concat(Object.keys(action._getExternalCommands())).forEach(function (name) {
+            var command = {name: name, aliases: [], help: _('external command')};
+
+            if (action._aliasNameMap.hasOwnProperty(name) || context.commands.some(function (command) {
+                return command.name === name;
+            })) {
+                return;
+            }
+            context.commands.push(command);
+            if (!action._nameParserMap.hasOwnProperty(name)) {
+                return;
+            }
+            command.help = undefined;
+            action._choicesActions.forEach(function (choiceAction) {
+                if (choiceAction.destination === name) {
+                    command.help = choiceAction.help;
+                }
+            });
+            for (var alias in action._aliasNameMap) {
+                if (action._aliasNameMap[alias] === name) {
+                    command.aliases.push(alias);
+                }
+            }
+            contexts = contexts.concat(action._getParser(name)._getCompletionContexts(context.path.concat([name])));
+        });
+    }
+    return contexts;
+};
+
+/**
+ * Return a completion script of the parser for shell ("bash", "zsh" or
+ * "fish"), completing the option strings, the values of the options with
+ * choices (files for the others) and the commands, at every level. The
+ * program should be a plain word (letters, digits, "_", ".", "+", "@", "/" or
+ * "-").
+ *
+ * Options:
+ * <ul>
+ * <li>dynamic -- Complete by running the program instead (see complete), by
+ * default when an argument has a completer. The program must parse its args
+ * with run() then.</li>
+ * </ul>
+ *
+ * @param {string} shell
+ * @param {object} options
+ * @return {string}
+ */
+ArgumentParser.prototype.generateCompletion = function (shell, options) {
+    var generators = {
+            bash: [ this._generateCompletionBash, this._generateCompletionBashDynamic ],
+            zsh: [ this._generateCompletionZsh, this._generateCompletionZshDynamic ],
+            fish: [ this._generateCompletionFish, this._generateCompletionFishDynamic ]
+        },
+        contexts,
+        dynamic;
+
+    options = options || {};
+    if (!generators.hasOwnProperty(shell)) {
+        throw new Error($stringPrint(_('Unknown shell "%shell%" (choices: [%choices%]).'), {
+            shell: shell,
+            choices: Object.keys(generators).join(', ')
+        }));// ValueError
+    }
+    // the program is written as is in the scripts (ex: "#compdef tool")
+    if (!/^[A-Za-z0-9_.+@\/-]+$/.test(this.program)) {
+        throw new Error($stringPrint(_('Cannot complete "%program%": the program should be a plain word.'), {
+            program: this.program
+        }));// ValueError
+    }
+    contexts = this._getCompletionContexts();
+    dynamic = options.dynamic !== undefined ? options.dynamic: contexts.some(function (context) {
+        return context.dynamic;
+    });
+    return generators[shell][dynamic ? 1: 0].call(this, contexts, this.program.replace(/[^A-Za-z0-9_]/g, '_'));
+};
+
+var $shellQuote = function (string) {
+    return "'" + String(string).replace(/'/g, "'\\''") + "'";
+};
+
+/**
+ * Return the first line of a help string, for completion descriptions
+ */
+var $helpSummary = function (help) {
+    return help !== undefined ? $stringStrip(String(help).split(EOL)[0]): '';
+};
+
+/**
+ * Return the shell "case" branches moving from a context to its commands,
+ * and skipping the values of the options (shared by bash and zsh)
+ *
+ * @param {Array} contexts
+ * @param {string} indent
+ * @param {string} skip the command skipping the values, %count% being their count
+ * @return {Array} lines
+ */
+ArgumentParser.prototype._getCompletionCaseLines = function (contexts, indent, skip) {
+    var lines = [];
+    contexts.forEach(function (context) {
+        var key = context.path.join(' ') + ':';
+        context.commands.forEach(function (command) {
+            var path = context.path.concat([command.name]).join(' ');
+            if (contexts.some(function (other) { return other.path.join(' ') === path; })) {
+                lines.push(indent + [command.name].concat(command.aliases).map(function (name) {
+                    return $shellQuote(key + name);
+                }).join('|') + ') context=' + $shellQuote(path) + ' ;;');
+            }
+        });
+        context.options.forEach(function (option) {
+            if (option.nargs > 0) {
+                lines.push(indent + option.optionStrings.map(function (optionString) {
+                    return $shellQuote(key + optionString);
+                }).join('|') + ') ' + $stringPrint(skip, {count: option.nargs}) + ' ;;');
+            }
+        });
+    });
+    return lines;
+};
+
+ArgumentParser.prototype._generateCompletionBash = function (contexts, name) {
+    var lines = [];
+
+    lines.push('# bash completion for ' + this.program);
+    lines.push('_' + name + '_completion() {');
+    lines.push('    local cur prev word context="" skip=0 i opts="" words=""');
+    lines.push('    cur="${COMP_WORDS[COMP_CWORD]}"');
+    lines.push('    prev="${COMP_WORDS[COMP_CWORD-1]}"');
+    lines.push('    for ((i = 1; i < COMP_CWORD; i++)); do');
+    lines.push('        word="${COMP_WORDS[i]}"');
+    lines.push('        if [[ $skip -gt 0 ]]; then');
+    lines.push('            skip=$((skip - 1))');
+    lines.push('            continue');
+    lines.push('        fi');
+    lines.push('        case "$context:$word" in');
+    lines = lines.concat(this._getCompletionCaseLines(contexts, '            ', 'skip=%count%'));
+    lines.push('        esac');
+    lines.push('    done');
+
+    // values of the options
+    lines.push('    if [[ $skip -gt 0 ]]; then');
+    lines.push('        case "$context:$prev" in');
+    contexts.forEach(function (context) {
+        context.options.forEach(function (option) {
+            if (option.nargs > 0 && option.choices !== undefined) {
+                lines.push('            ' + option.optionStrings.map(function (optionString) {
+                    return $shellQuote(context.path.join(' ') + ':' + optionString);
+                }).join('|') + ') COMPREPLY=($(compgen -W ' + $shellQuote(option.choices.join(' ')) + ' -- "$cur")); return ;;');
+            }
+        });
+    });
+    lines.push('        esac');
+    lines.push('        COMPREPLY=($(compgen -f -- "$cur"))');
+    lines.push('        return');
+    lines.push('    fi');
+
+    // option strings, commands and choices of the context
+    lines.push('    case "$context" in');
+    contexts.forEach(function (context) {
+        var opts = [], words = [];
+        context.options.forEach(function (option) {
+            if (!option.suppressed) {
+                opts = opts.concat(option.optionStrings);
+            }
+        });
+        context.commands.forEach(function (command) {
+            words = words.concat([command.name], command.aliases);
+        });
+        lines.push('        ' + $shellQuote(context.path.join(' ')) + ') opts=' + $shellQuote(opts.join(' ')) +
+            '; words=' + $shellQuote(words.concat(context.choices).join(' ')) + ' ;;');
+    });
+    lines.push('    esac');
+    lines.push('    if [[ "$cur" == -* ]]; then');
+    lines.push('        COMPREPLY=($(compgen -W "$opts" -- "$cur"))');
+    lines.push('    else');
+    lines.push('        COMPREPLY=($(compgen -W "$words" -- "$cur"))');
+    lines.push('    fi');
+    lines.push('}');
+    lines.push('complete -o default -F _' + name + '_completion ' + this.program);
+    return lines.join(EOL) + EOL;
+};
+
+ArgumentParser.prototype._generateCompletionZsh = function (contexts, name) {
+    var lines = [],
+        describe = function (name, help) {
+            return $shellQuote(name.replace(/:/g, '\\:') + ':' + $helpSummary(help));
+        };
+
+    lines.push('#compdef ' + this.program);
+    lines.push('_' + name + '() {');
+    lines.push('    local word prev context="" skip=0 i');
+    lines.push('    local -a opts cmds');
+    lines.push('    for ((i = 2; i < CURRENT; i++)); do');
+    lines.push('        word="${words[i]}"');
+    lines.push('        if (( skip > 0 )); then');
+    lines.push('            (( skip-- ))');
+    lines.push('            continue');
+    lines.push('        fi');
+    lines.push('        case "$context:$word" in');
+    lines = lines.concat(this._getCompletionCaseLines(contexts, '            ', 'skip=%count%'));
+    lines.push('        esac');
+    lines.push('    done');
+
+    // values of the options
+    lines.push('    prev="${words[CURRENT-1]}"');
+    lines.push('    if (( skip > 0 )); then');
+    lines.push('        case "$context:$prev" in');
+    contexts.forEach(function (context) {
+        context.options.forEach(function (option) {
+            if (option.nargs > 0 && option.choices !== undefined) {
+                lines.push('            ' + option.optionStrings.map(function (optionString) {
+                    return $shellQuote(context.path.join(' ') + ':' + optionString);
+                }).join('|') + ') compadd -- ' + option.choices.map($shellQuote).join(' ') + '; return ;;');
+            }
+        });
+    });
+    lines.push('        esac');
+    lines.push('        _files');
+    lines.push('        return');
+    lines.push('    fi');
+
+    // option strings, commands and choices of the context, described
+    lines.push('    case "$context" in');
+    contexts.forEach(function (context) {
+        var opts = [], cmds = [];
+        context.options.forEach(function (option) {
+            if (option.suppressed) {
+                return;
+            }
+            option.optionStrings.forEach(function (optionString) {
+                opts.push(describe(optionString, option.help));
+            });
+        });
+        context.commands.forEach(function (command) {
+            [command.name].concat(command.aliases).forEach(function (name) {
+                cmds.push(describe(name, command.help));
+            });
+        });
+        context.choices.forEach(function (choice) {
+            cmds.push(describe(choice, ''));
+        });
+        lines.push('        ' + $shellQuote(context.path.join(' ')) + ') opts=(' + opts.join(' ') +
+            '); cmds=(' + cmds.join(' ') + ') ;;');
+    });
+    lines.push('    esac');
+    lines.push('    if [[ "${words[CURRENT]}" == -* ]]; then');
+    lines.push('        _describe \'option\' opts');
+    lines.push('    else');
+    lines.push('        _describe \'command\' cmds || _files');
+    lines.push('    fi');
+    lines.push('}');
+    lines.push('compdef _' + name + ' ' + this.program);
+    return lines.join(EOL) + EOL;
+};
+
+ArgumentParser.prototype._generateCompletionFish = function (contexts, name) {
+    var lines = [],
+        program = this.program,
+        quote = function (string) {
+            return "'" + String(string).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+        };
+
+    // the function testing the current context, found like the bash
+    // completion does
+    lines.push('# fish completion for ' + program);
+    lines.push('function __' + name + '_context');
+    lines.push('    set -l context ""');
+    lines.push('    set -l skip 0');
+    lines.push('    set -l words (commandline -opc)');
+    lines.push('    for word in $words[2..-1]');
+    lines.push('        if test $skip -gt 0');
+    lines.push('            set skip (math $skip - 1)');
+    lines.push('            continue');
+    lines.push('        end');
+    lines.push('        switch "$context:$word"');
+    contexts.forEach(function (context) {
+        var key = context.path.join(' ') + ':';
+        context.commands.forEach(function (command) {
+            var path = context.path.concat([command.name]).join(' ');
+            if (contexts.some(function (other) { return other.path.join(' ') === path; })) {
+                lines.push('            case ' + [command.name].concat(command.aliases).map(function (name) {
+                    return quote(key + name);
+                }).join(' '));
+                lines.push('                set context ' + quote(path));
+            }
+        });
+        context.options.forEach(function (option) {
+            if (option.nargs > 0) {
+                lines.push('            case ' + option.optionStrings.map(function (optionString) {
+                    return quote(key + optionString);
+                }).join(' '));
+                lines.push('                set skip ' + option.nargs);
+            }
+        });
+    });
+    lines.push('        end');
+    lines.push('    end');
+    lines.push('    test "$context" = "$argv[1]"');
+    lines.push('end');
+    lines.push('');
+
+    contexts.forEach(function (context) {
+        var condition = ' -n ' + quote('__' + name + '_context ' + $shellQuote(context.path.join(' ')));
+
+        // no files where a command or a choice is expected
+        if (context.commands.length > 0 || context.choices.length > 0) {
+            lines.push('complete -c ' + program + condition + ' -f');
+        }
+        context.options.forEach(function (option) {
+            var flags = [];
+            if (option.suppressed) {
+                return;
+            }
+            option.optionStrings.forEach(function (optionString) {
+                if (optionString.substr(0, 2) === '--') {
+                    flags.push('-l ' + quote(optionString.substr(2)));
+                } else if (optionString[0] === '-' && optionString.length === 2) {
+                    flags.push('-s ' + quote(optionString.substr(1)));
+                } else if (optionString[0] === '-') {
+                    flags.push('-o ' + quote(optionString.substr(1)));
+                }
+            });
+            if (flags.length === 0) {
+                return;
+            }
+            if (option.nargs > 0) {
+                flags.push(option.choices !== undefined ? '-x -a ' + quote(option.choices.join(' ')): '-r -F');
+            }
+            lines.push('complete -c ' + program + condition + ' ' + flags.join(' ') +
+                ' -d ' + quote($helpSummary(option.help)));
+        });
+        context.commands.forEach(function (command) {
+            [command.name].concat(command.aliases).forEach(function (commandName) {
+                lines.push('complete -c ' + program + condition + ' -a ' + quote(commandName) +
+                    ' -d ' + quote($helpSummary(command.help)));
+            });
+        });
+        if (context.choices.length > 0) {
+            lines.push('complete -c ' + program + condition + ' -a ' + quote(context.choices.join(' ')));
+        }
+    });
+    return lines.join(EOL) + EOL;
+};
+
+ArgumentParser.prototype._generateCompletionBashDynamic = function (contexts, name) {
+    // the program is given the command line and the cursor, and asked to
+    // complete by _ARGPARSE_COMPLETE (see _getCompletionWords)
+    return [
+        '# bash completion for ' + this.program,
+        '_' + name + '_complete() {',
+        "    local IFS=$'\\n'",
+        '    COMPREPLY=($(COMP_LINE="$COMP_LINE" COMP_POINT="$COMP_POINT" _ARGPARSE_COMPLETE=1 ' +
+            $shellQuote(this.program) + '))',
+        '}',
+        'complete -o default -F _' + name + '_complete ' + this.program
+    ].join(EOL) + EOL;
+};
+
+ArgumentParser.prototype._generateCompletionZshDynamic = function (contexts, name) {
+    return [
+        '#compdef ' + this.program,
+        '_' + name + '() {',
+        '    local -a candidates',
+        '    candidates=(${(f)"$(' + $shellQuote(this.program) + ' --_complete "${(@)words[2,CURRENT]}")"})',
+        '    compadd -a candidates || _files',
+        '}',
+        'compdef _' + name + ' ' + this.program
+    ].join(EOL) + EOL;
+};
+
+ArgumentParser.prototype._generateCompletionFishDynamic = function (contexts, name) {
+    return [
+        '# fish completion for ' + this.program,
+        'function __' + name + '_complete',
+        '    set -l words (commandline -opc)',
+        '    set -l word (commandline -ct)',
+        '    ' + $shellQuote(this.program) + ' --_complete $words[2..-1] "$word"',
+        'end',
+        '',
+        'complete -c ' + this.program + " -a '(__" + name + "_complete)'"
+    ].join(EOL) + EOL;
+};
+
+/**
+ * Return the words to complete when the program is run by a completion
+ * script: the arguments following "--_complete", or, when the
+ * _ARGPARSE_COMPLETE environment variable is set, the command line up to the
+ * cursor given by the COMP_LINE and COMP_POINT environment variables (bash).
+ * Return undefined otherwise. COMP_LINE alone is not enough, as programs run
+ * by the completion functions of other programs inherit it.
+ *
+ * @param {Array} args
+ * @return {Array}
+ */
+ArgumentParser.prototype._getCompletionWords = function (args) {
+    var line = process.env.COMP_LINE;
+
+    if (args[0] === '--_complete') {
+        return args.slice(1);
+    }
+    if (!process.env._ARGPARSE_COMPLETE || line === undefined) {
+        return undefined;
+    }
+    if (process.env.COMP_POINT !== undefined) {
+        line = line.substr(0, Number(process.env.COMP_POINT));
+    }
+    // the first word is the program
+    return $stringLStrip(line).split(/\s+/).slice(1);
+};
+
+/**
+ * Return a promise of the completion candidates of the last of words, the
+ * word under the cursor, the other words being the arguments before it. The
+ * arguments are matched like parseArgs does to find what the word is:
+ * <ul>
+ * <li>a value of an argument -- the candidates returned by its completer,
+ * or else its choices</li>
+ * <li>a command -- the names of the commands (words after it are completed
+ * by its parser)</li>
+ * <li>an option or nothing expected -- the option strings</li>
+ * </ul>
+ * Candidates not starting with the word are left out.
+ *
+ * The dynamic completion scripts (see generateCompletion) run the program
+ * with "--_complete" and the words, or with the _ARGPARSE_COMPLETE, COMP_LINE
+ * and COMP_POINT environment variables, and read the candidates printed one
+ * per line. Only run() answers them, when its args default to the system
+ * args: a program parsing its args with parseArgs() (or the other parse
+ * methods) has to call complete() itself, or "--_complete" is an
+ * unrecognized argument.
+ *
+ * @param {Array} words
+ * @return {Promise} candidates
+ */
+ArgumentParser.prototype.complete = function (words) {
+    var self = this;
+
+    return Promise.resolve().then(function () {
+        return self._getCompletionCandidates(words.length > 0 ? words: [ '' ]);
+    });
+};
+
+ArgumentParser.prototype._getCompletionCandidates = function (words) {
+    var cursor = words.length - 1,
+        word = words[cursor],
+        positionals = this._getActionsPositional(),
+        optionTuples = [],
+        patternParts = [],
+        found = false,
+        pattern,
+        optionTuple,
+        action,
+        count,
+        counts,
+        start,
+        name,
+        i = 0;
+
+    // find the pattern of the words (see _parseArgsKnown), the word under
+    // the cursor being an option as soon as it starts like one
+    words.forEach(function (argString, argStringIndex) {
+        if (found) {
+            patternParts.push('A');
+        } else if (argString === '--' && argStringIndex < cursor) {
+            patternParts.push('-');
+            found = true;
+        } else {
+            try {
+                optionTuples[argStringIndex] = this._parseOptional(argString);
+            } catch (e) {
+                optionTuples[argStringIndex] = [undefined, argString, undefined];
+            }
+            patternParts.push(optionTuples[argStringIndex] !== undefined ||
+                argStringIndex === cursor && argString !== '' && this.prefixChars.indexOf(argString[0]) >= 0 ? 'O': 'A');
+        }
+    }, this);
+    pattern = patternParts.join('');
+
+    while (i <= cursor) {
+        if (pattern[i] === 'O') {
+            optionTuple = optionTuples[i] || [undefined, word, undefined];
+            action = optionTuple[0];
+            if (i === cursor) {
+                // the value given with the option string (ex: "--color=re")
+                if (action !== undefined && optionTuple[2] !== undefined &&
+                    word === optionTuple[1] + '=' + optionTuple[2]) {
+                    return this._getCompletionValues(action, optionTuple[2], optionTuple[1] + '=');
+                }
+                break;
+            }
+
+            // the values following the option string
+            count = 0;
+            if (action !== undefined && optionTuple[2] === undefined) {
+                try {
+                    count = this._matchArgument(action, pattern.substr(i + 1));
+                } catch (e) {
+                    count = 0;
+                }
+            }
+            if (i + count >= cursor) {
+                return this._getCompletionValues(action, word, '');
+            }
+            i += count + 1;
+        } else {
+            // the positionals matching the following arguments, the
+            // argument being an extra if none
+            counts = this._matchArgumentsPartial(positionals, pattern.substr(i));
+            start = i;
+            for (var countIndex = 0; countIndex < counts.length; countIndex++) {
+                action = positionals.shift();
+                count = counts[countIndex];
+                if (i + count <= cursor) {
+                    i += count;
+                    continue;
+                }
+
+                // the command, then the arguments of its parser
+                if (action.nargs === PARSER) {
+                    while (words[i] === '--') {
+                        i += 1;
+                    }
+                    if (i === cursor) {
+                        return this._getCompletionCommands(action, word);
+                    }
+                    try {
+                        name = action._getParserName(words[i]);
+                    } catch (e) {
+                        return [];
+                    }
+                    if (!action._nameParserMap.hasOwnProperty(name)) {
+                        return [];
+                    }
+                    return action._getParser(name)._getCompletionCandidates(words.slice(i + 1));
+                }
+                return this._getCompletionValues(action, word, '');
+            }
+            if (i === start) {
+                if (i === cursor) {
+                    break;
+                }
+                i += 1;
+            }
+        }
+    }
+
+    // the option strings, unless only positionals are expected
+    if (found || word !== '' && this.prefixChars.indexOf(word[0]) < 0) {
+        return [];
+    }
+    return $completionFilter(this._actions.filter(function (action) {
+        return action.isOptional() && action.help !== SUPPRESS;
+    }).reduce(function (optionStrings, action) {
+        return optionStrings.concat(action.optionStrings);
+    }, []), word, '');
+};
+
+/**
+ * Return the candidates of the values of the action (or a promise of them)
+ */
+ArgumentParser.prototype._getCompletionValues = function (action, word, prefix) {
+    var candidates = [];
+
+    if (action === undefined) {
+        return candidates;
+    }
+    if (action.completer !== undefined) {
+        candidates = action.completer(word, action, this);
+    } else if (action.choices !== undefined) {
+        candidates = Array.isArray(action.choices) ? action.choices: Object.keys(action.choices);
+    }
+    return $isThenable(candidates) ? candidates.then(function (candidates) {
+        return $completionFilter(candidates, word, prefix);
+    }): $completionFilter(candidates, word, prefix);
+};
+
+/**
+ * Return the names of the commands of the subparser action, with the aliases
+ * and the external commands
+ */
+ArgumentParser.prototype._getCompletionCommands = function (action, word) {
+    var names = Object.keys(action._nameParserMap);
+
+    names = names.concat(Object.keys(action._getExternalCommands()).filter(function (name) {
+        return names.indexOf(name) < 0;
+    }));
+    return $completionFilter(names, word, '');
+};
+
+/**
+ * Return the candidates starting with word, prefixed
+ */
+var $completionFilter = function (candidates, word, prefix) {
+    return (candidates || []).map(String).filter(function (candidate) {
+        return candidate.substr(0, word.length) === word;
+    }).map(function (candidate) {
+        return prefix + candidate;
+    });
+};
+
 /*******************************************************************************
  * Print functions
  ******************************************************************************/
@@ -2761,7 +7061,8 @@ ArgumentParser.prototype.printHelp = function (/* file */ file) {
 };
 
 ArgumentParser.prototype._printMessage = function (/* string */ message, /* file */ file) {
-    if (message && file) {
+    // nothing is printed while safe parsing
+    if (message && file && this._errorsCollected === undefined) {
         // file = file || this.stdout;
         file.write('' + message);
     }
@@ -2782,7 +7083,7 @@ ArgumentParser.prototype.exit = function (/* int */ status, /* string */ message
         this._printMessage(message, this.stderr);
     }
     status = status || 0;
-    if (!this.debug) {
+    if (!this.debug && this._errorsCollected === undefined) {
         process.exit(status);
     } else {
         throw new SystemExit(status, message);
@@ -2798,6 +7099,10 @@ ArgumentParser.prototype.exit = function (/* int */ status, /* string */ message
  * @return undefined
  */
 ArgumentParser.prototype.error = function (/* int */ status, /* string */ message) {
+    // while safe parsing, the error is collected instead
+    if (this._errorsCollected !== undefined) {
+        throw new ArgumentError(undefined, message, 'ERROR');
+    }
     status = status || 1;
     this.printUsage(this.stderr);
     return this.exit(status, $stringPrint(_('%program%: error: %message%'), {program: this.program, message: message}) + EOL);
@@ -2820,6 +7125,8 @@ exports.SystemExit = SystemExit;
 exports.Action = Action;
 exports.ActionAppend = ActionAppend;
 exports.ActionAppendConstant = ActionAppendConstant;
+exports.ActionExtend = ActionExtend;
+exports.ActionBooleanOptional = ActionBooleanOptional;
 exports.ActionCount = ActionCount;
 exports.ActionStore = ActionStore;
 exports.ActionStoreConstant = ActionStoreConstant;
@@ -2831,6 +7138,8 @@ exports.HelpFormatter = HelpFormatter;
 exports.HelpFormatterArgumentDefaults = HelpFormatterArgumentDefaults;
 exports.HelpFormatterRawDescription = HelpFormatterRawDescription;
 exports.HelpFormatterRawText = HelpFormatterRawText;
+exports.HelpFormatterMarkdown = HelpFormatterMarkdown;
+exports.HelpFormatterHtml = HelpFormatterHtml;
 
 //Constants
 exports.SUPPRESS = SUPPRESS;
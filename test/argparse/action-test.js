@@ -81,6 +81,25 @@ var ActionAppendTest = vows.describe('ActionAppend class').addBatch({
     }
 });
 
+var ActionExtendTest = vows.describe('ActionExtend class').addBatch({
+    'call(parser, namespace, values)': {
+        topic: function (item) {
+            return new argparse.ActionExtend({
+                destination: 'foo'
+            });
+        },
+        'should add each value into namespace': function (topic) {
+            var namespace = new Namespace();
+
+            topic.call(undefined, namespace, [ 'bar', 'baz' ]);
+            assert.deepEqual(namespace.foo, [ 'bar', 'baz' ]);
+
+            topic.call(undefined, namespace, 'qux');
+            assert.deepEqual(namespace.foo, [ 'bar', 'baz', 'qux' ]);
+        }
+    }
+});
+
 var ActionAppendConstantTest = vows.describe('ActionAppendConstant class').addBatch({
     'call(parser, namespace, values)': {
         topic: function (item) {
@@ -202,14 +221,54 @@ var ActionStoreFalseTest = vows.describe('ActionStoreFalse class').addBatch({
 	}
 });
 
+var ActionBooleanOptionalTest = vows.describe('ActionBooleanOptional class').addBatch({
+    'new ActionBooleanOptional({options})': {
+        topic: function (item) {
+            return new argparse.ActionBooleanOptional({
+                optionStrings: [ '-f', '--foo' ],
+                destination: 'foo'
+            });
+        },
+        'should add the negation of long option strings': function (topic) {
+            assert.deepEqual(topic.optionStrings, [ '-f', '--foo', '--no-foo' ]);
+        },
+        'should use the negation prefix': function (topic) {
+            var action = new argparse.ActionBooleanOptional({
+                optionStrings: [ '--foo' ],
+                destination: 'foo',
+                negationPrefix: 'without-'
+            });
+            assert.deepEqual(action.optionStrings, [ '--foo', '--without-foo' ]);
+        }
+    },
+    'call(parser, namespace, values, optionString)': {
+        topic: function (item) {
+            return new argparse.ActionBooleanOptional({
+                optionStrings: [ '--foo' ],
+                destination: 'foo'
+            });
+        },
+        'should store true or false depending on the option string': function (topic) {
+            var parser = new ArgumentParser();
+            var namespace = new Namespace();
+            topic.call(parser, namespace, [], '--foo');
+            assert.strictEqual(namespace.foo, true);
+            topic.call(parser, namespace, [], '--no-foo');
+            assert.strictEqual(namespace.foo, false);
+        }
+    }
+});
+
 /**
  * Exports
  */
 exports.ActionTest = ActionTest;
 exports.ActionAppendTest = ActionAppendTest;
 exports.ActionAppendConstantTest = ActionAppendConstantTest;
+exports.ActionExtendTest = ActionExtendTest;
 exports.ActionCountTest = ActionCountTest;
 exports.ActionStoreTest = ActionStoreTest;
 exports.ActionStoreConstantTest = ActionStoreConstantTest;
 exports.ActionStoreTrueTest = ActionStoreTrueTest;
-exports.ActionStoreFalseTest = ActionStoreFalseTest;
\ No newline at end of file
+exports.ActionStoreFalseTest = ActionStoreFalseTest;
+exports.ActionBooleanOptionalTest = ActionBooleanOptionalTest;
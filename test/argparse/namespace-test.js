@@ -132,6 +132,38 @@ var NamespaceTest = vows.describe('Namespace class').addBatch({
             topic.unset('foo');
             assert.deepEqual(topic.values(), [ 2 ]);
         }
+    },
+    "sourceOf()": {
+        topic: function (item) {
+            return new Namespace();
+        },
+        'should return the source of a set key': function (topic) {
+            topic.set('foo', 1).setSource('foo', {source: 'cli', index: 0});
+            assert.deepEqual(topic.sourceOf('foo'), {source: 'cli', index: 0});
+            assert.isUndefined(topic.sourceOf('bar'));
+        },
+        'should not be a key of the namespace': function (topic) {
+            topic.set('baz', 1).setSource('baz', {source: 'env', env: 'BAZ'});
+            assert.deepEqual(topic.keys(), [ 'foo', 'baz' ]);
+        },
+        'should forget the source of an unset key': function (topic) {
+            topic.unset('foo');
+            assert.isUndefined(topic.sourceOf('foo'));
+        }
+    },
+    "sources()": {
+        topic: function (item) {
+            return new Namespace();
+        },
+        'should return the sources by key': function (topic) {
+            topic.set({foo: 1, bar: 2, baz: 3});
+            topic.setSource('foo', {source: 'default'});
+            topic.setSource('bar', {source: 'config', file: 'bar.json'});
+            assert.deepEqual(topic.sources(), {
+                foo: {source: 'default'},
+                bar: {source: 'config', file: 'bar.json'}
+            });
+        }
     }
 });
 
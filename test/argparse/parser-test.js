@@ -7,12 +7,34 @@ var argparse = require(__filenameTested),
     Namespace = argparse.Namespace,
     ArgumentParser = argparse.ArgumentParser;
 
-function createParser(options) {
+function createParserOptions(options) {
     options = options || {};
     options.debug = options.debug === undefined ? true: options.debug;
     options.stdout = options.stdout === undefined ? false: options.stdout;
     options.stderr = options.stderr === undefined ? false: options.stderr;
-    return new ArgumentParser(options);
+    return options;
+}
+
+function createParser(options) {
+    return new ArgumentParser(createParserOptions(options));
+}
+
+function removePath(file) {
+    var fs = require('fs'),
+        stat;
+    try {
+        stat = fs.lstatSync(file);
+    } catch (e) {
+        return;
+    }
+    if (stat.isDirectory()) {
+        fs.readdirSync(file).forEach(function (name) {
+            removePath(file + '/' + name);
+        });
+        fs.rmdirSync(file);
+    } else {
+        fs.unlinkSync(file);
+    }
 }
 
 /*******************************************************************************
@@ -132,7 +154,34 @@ var ArgumentParserTest = vows.describe('ArgumentParser class').addBatch({
                 action: 'help',
                 help: 'foo bar'
             });
-            assert.equal(topic.formatHelp(), 'usage: foo [-h]\n');
+            assert.equal(topic.formatHelp(), 'usage: foo [-h]\n\n' +
+                'Optional arguments:\n' +
+                '  -h, --help  foo bar\n');
+        },
+        'should show the environment variable of arguments': function (topic) {
+            var parser = createParser({
+                program: 'foo',
+                envPrefix: 'FOO'
+            });
+            parser.addArgument([ '--api-url' ], {
+                action: 'store',
+                help: 'api url'
+            });
+            assert.equal(parser.formatHelp(), 'usage: foo [--api-url API_URL]\n\n' +
+                'Optional arguments:\n' +
+                '  --api-url API_URL  api url (env: FOO_API_URL)\n');
+        },
+        'should show the environment variable of arguments without help': function (topic) {
+            var parser = createParser({
+                program: 'foo',
+                envPrefix: 'FOO'
+            });
+            parser.addArgument([ '--token' ], {
+                action: 'store'
+            });
+            assert.equal(parser.formatHelp(), 'usage: foo [--token TOKEN]\n\n' +
+                'Optional arguments:\n' +
+                '  --token TOKEN  (env: FOO_TOKEN)\n');
         }
         // TODO test more cases here
     },
@@ -286,6 +335,1665 @@ var ArgumentParserTest = vows.describe('ArgumentParser class').addBatch({
             var data = topic.parseArgs([ '--string', 'toto' ]);
             assert.strictEqual(data.string, 'toto');
         }
+    },
+    'parseArgs() / with booleanOptional argument': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--color' ], {
+                action: 'booleanOptional',
+                help: 'colorize the output'
+            });
+            return parser;
+        },
+        'should parse [--color] and [--no-color]': function (topic) {
+            assert.strictEqual(topic.parseArgs([ '--color' ]).color, true);
+            assert.strictEqual(topic.parseArgs([ '--no-color' ]).color, false);
+            assert.isUndefined(topic.parseArgs([]).color);
+        },
+        'should show the negation in help': function (topic) {
+            assert.equal(topic.formatHelp(), 'usage: foo [--color | --no-color]\n\n' +
+                'Optional arguments:\n' +
+                '  --color, --no-color  colorize the output\n');
+        }
+    },
+    'parseArgs() / with multiple values': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--tags' ], {
+                action: 'extend',
+                delimiter: ',',
+                metavar: 'TAG'
+            });
+            parser.addArgument([ '--point' ], {
+                action: 'append',
+                nargs: 2,
+                type: 'int'
+            });
+            parser.addArgument([ '--ids' ], {
+                action: 'store',
+                delimiter: ':',
+                type: 'int'
+            });
+            return parser;
+        },
+        'should split delimited values': function (topic) {
+            assert.deepEqual(topic.parseArgs([ '--tags', 'a,b', '--tags', 'c', '--ids', '1:2' ]), new Namespace({
+                tags: [ 'a', 'b', 'c' ],
+                ids: [ 1, 2 ]
+            }));
+        },
+        'should append the values of each occurrence': function (topic) {
+            assert.deepEqual(topic.parseArgs([ '--point', '1', '2', '--point', '3', '4' ]).point, [ 1, 2, 3, 4 ]);
+        },
+        'should show the delimiter in help': function (topic) {
+            assert.equal(topic.formatUsage(), 'usage: foo [--tags TAG[,TAG...]] [--point POINT POINT] [--ids IDS[:IDS...]]\n');
+        }
+    },
+    'parseArgs() / with nargs range': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--point' ], {
+                action: 'store',
+                nargs: {min: 2, max: 4},
+                type: 'int',
+                metavar: [ 'X', 'Y', 'Z', 'W' ]
+            });
+            parser.addArgument([ 'files' ], {
+                action: 'store',
+                nargs: [ 1, 2 ]
+            });
+            return parser;
+        },
+        'should consume between min and max arguments': function (topic) {
+            assert.deepEqual(topic.parseArgs([ 'a', '--point', '1', '2', '3' ]), new Namespace({
+                files: [ 'a' ],
+                point: [ 1, 2, 3 ]
+            }));
+            assert.deepEqual(topic.parseArgs([ 'a', 'b', '--point', '1', '2', '3', '4' ]), new Namespace({
+                files: [ 'a', 'b' ],
+                point: [ 1, 2, 3, 4 ]
+            }));
+        },
+        'should report too few arguments': function (topic) {
+            var errors = topic.safeParse([ 'a', '--point', '1' ]).errors;
+            assert.strictEqual(errors[0].code, 'EXPECTED_ARGUMENTS');
+            assert.equal(errors[0].message, 'Expected between 2 and 4 arguments.');
+        },
+        'should show the optional values in help': function (topic) {
+            assert.equal(topic.formatUsage(), 'usage: foo [--point X Y [Z [W]]] files [files]\n');
+        }
+    },
+    'parseArgs() / with constraints': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--sign' ], {
+                action: 'storeTrue',
+                requires: [ '--key' ],
+                help: 'sign the release'
+            });
+            parser.addArgument([ '--key' ], {
+                action: 'store'
+            });
+            parser.addArgument([ '--publish' ], {
+                action: 'storeTrue',
+                conflicts: [ '--dry-run' ],
+                implies: {'--verbose': true}
+            });
+            parser.addArgument([ '--dry-run' ], {
+                action: 'storeTrue'
+            });
+            parser.addArgument([ '--verbose' ], {
+                action: 'storeTrue'
+            });
+            parser.addArgument([ '--mode' ], {
+                action: 'store',
+                defaultValue: 'local'
+            });
+            parser.addArgument([ '--host' ], {
+                action: 'store',
+                requiredIf: {mode: 'remote'},
+                help: 'remote host'
+            });
+            return parser;
+        },
+        'should check required arguments': function (topic) {
+            var errors = topic.safeParse([ '--sign' ]).errors;
+            assert.deepEqual(errors.map(String), [ 'argument "--sign": Requires argument "--key".' ]);
+            assert.strictEqual(errors[0].code, 'REQUIRES');
+            assert.strictEqual(topic.safeParse([ '--sign', '--key', 'k' ]).errors.length, 0);
+        },
+        'should check conflicting arguments both ways': function (topic) {
+            assert.strictEqual(topic.safeParse([ '--publish', '--dry-run' ]).errors[0].code, 'CONFLICT');
+            assert.strictEqual(topic.safeParse([ '--dry-run', '--publish' ]).errors[0].code, 'CONFLICT');
+        },
+        'should set implied values': function (topic) {
+            var namespace = topic.parseArgs([ '--publish' ]);
+            assert.strictEqual(namespace.verbose, true);
+            assert.deepEqual(namespace.sourceOf('verbose'), {source: 'implied', argument: '--publish'});
+        },
+        'should convert and check implied values': function (topic) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--level' ], {action: 'store', type: 'int', choices: [ 1, 2, 3 ]});
+            parser.addArgument([ '--fast' ], {action: 'storeTrue', implies: {'--level': '3'}});
+            parser.addArgument([ '--faster' ], {action: 'storeTrue', implies: {level: '9'}});
+            assert.strictEqual(parser.parseArgs([ '--fast' ]).level, 3);
+            assert.deepEqual(parser.safeParse([ '--faster' ]).errors.map(String), [
+                'argument "--level": Invalid choice: 9 (choose from [1, 2, 3]) (implied by "--faster")'
+            ]);
+        },
+        'should reject unknown arguments in constraints': function (topic) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--sign' ], {action: 'storeTrue', requires: [ '--kye' ]});
+            assert.throws(function () {
+                parser.parseArgs([]);
+            }, /^Error: Unknown argument "--kye" in the requires option of "--sign"\.$/);
+            parser = createParser({program: 'foo'});
+            parser.addArgument([ '--publish' ], {action: 'storeTrue', implies: {verbose: true}});
+            assert.throws(function () {
+                parser.safeParse([ '--publish' ]);
+            }, /^Error: Unknown argument "verbose" in the implies option of "--publish"\.$/);
+        },
+        'should check arguments required by values': function (topic) {
+            var errors = topic.safeParse([ '--mode', 'remote' ]).errors;
+            assert.deepEqual(errors.map(String), [ 'argument "--host": Required when mode is "remote".' ]);
+            assert.strictEqual(topic.safeParse([ '--mode', 'remote', '--host', 'h' ]).errors.length, 0);
+        },
+        'should show the constraints in help': function (topic) {
+            var help = topic.formatHelp();
+            assert.ok(help.indexOf('  --sign       sign the release (requires: --key)\n') >= 0);
+            assert.ok(help.indexOf('  --host HOST  remote host (required if: mode=remote)\n') >= 0);
+            assert.ok(help.indexOf('  --publish    (conflicts with: --dry-run) (implies: --verbose=true)\n') >= 0);
+        }
+    },
+    'parseArgs() / with inclusive and counted groups': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            var group = parser.addArgumentGroup({inclusive: true});
+            group.addArgument([ '--user' ], {action: 'store'});
+            group.addArgument([ '--password' ], {action: 'store'});
+            group = parser.addArgumentGroup({minCount: 2, maxCount: 3});
+            [ '-a', '-b', '-c', '-d' ].forEach(function (optionString) {
+                group.addArgument([ optionString ], {action: 'storeTrue'});
+            });
+            return parser;
+        },
+        'should format the groups in usage': function (topic) {
+            assert.equal(topic.formatUsage(), 'usage: foo [--user USER --password PASSWORD] (-a | -b | -c | -d){2,3}\n');
+        },
+        'should require all or none of an inclusive group': function (topic) {
+            var errors = topic.safeParse([ '--user', 'u', '-a', '-b' ]).errors;
+            assert.deepEqual(errors.map(String), [ 'The arguments --password are required with --user.' ]);
+            assert.strictEqual(errors[0].code, 'INCLUSIVE_GROUP');
+            assert.strictEqual(topic.safeParse([ '--user', 'u', '--password', 'p', '-a', '-b' ]).errors.length, 0);
+        },
+        'should check the count of a counted group': function (topic) {
+            var errors = topic.safeParse([ '-a' ]).errors;
+            assert.deepEqual(errors.map(String), [ 'At least 2 of the arguments -a -b -c -d are required.' ]);
+            assert.strictEqual(errors[0].code, 'GROUP_COUNT');
+            errors = topic.safeParse([ '-a', '-b', '-c', '-d' ]).errors;
+            assert.deepEqual(errors.map(String), [ 'At most 3 of the arguments -a -b -c -d are allowed.' ]);
+        },
+        'should copy the groups from parents': function (topic) {
+            var parser = createParser({program: 'bar', addHelp: false, parents: [ topic ]});
+            assert.strictEqual(parser.safeParse([ '-a' ]).errors[0].code, 'GROUP_COUNT');
+        }
+    },
+    'parseArgs() / with nested mutually exclusive groups': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            var group = parser.addArgumentGroup({title: 'Source', description: 'where to connect'}, true);
+            group.addArgument([ '--url' ], {action: 'store', help: 'the url'});
+            var groupNested = group.addArgumentGroup({inclusive: true});
+            groupNested.addArgument([ '--host' ], {action: 'store', help: 'the host'});
+            groupNested.addArgument([ '--port' ], {action: 'store', help: 'the port'});
+            var output = parser.addArgumentGroup({title: 'Output'}).addArgumentGroup({required: true}, true);
+            output.addArgument([ '--json' ], {action: 'storeTrue'});
+            output.addArgument([ '--xml' ], {action: 'storeTrue'});
+            return parser;
+        },
+        'should format the alternatives in usage': function (topic) {
+            assert.equal(topic.formatUsage(), 'usage: foo [--url URL | --host HOST --port PORT] (--json | --xml)\n');
+        },
+        'should show titled groups in their own section': function (topic) {
+            var help = topic.formatHelp();
+            assert.ok(help.indexOf('Source:\n  where to connect\n\n  --url URL    the url\n') >= 0);
+            assert.ok(help.indexOf('Output:\n  --json\n  --xml\n') >= 0);
+        },
+        'should accept one alternative': function (topic) {
+            assert.strictEqual(topic.safeParse([ '--json', '--url', 'u' ]).errors.length, 0);
+            assert.strictEqual(topic.safeParse([ '--json', '--host', 'h', '--port', '1' ]).errors.length, 0);
+        },
+        'should reject several alternatives': function (topic) {
+            var errors = topic.safeParse([ '--json', '--url', 'u', '--host', 'h', '--port', '1' ]).errors;
+            assert.strictEqual(String(errors[0]), 'argument "--host": Not allowed with argument "--url".');
+            assert.strictEqual(topic.safeParse([ '--json', '--xml' ]).errors[0].code, 'CONFLICT');
+        },
+        'should reject plain groups as alternatives': function (topic) {
+            var group = createParser().addArgumentGroup({}, true);
+            assert.throws(function () {
+                group.addArgumentGroup({});
+            });
+        }
+    },
+    'parseArgs() / with subparsers': {
+        topic: function (item) {
+            var parser = createParser({program: 'git'});
+            var subparsers = parser.addSubparsers({destination: 'command', allowAbbrev: true, title: 'commands'});
+            subparsers.addParser('checkout', createParserOptions({aliases: [ 'co' ], help: 'switch branches'}))
+                .addArgument([ 'branch' ], {action: 'store'});
+            subparsers.addParser('commit', createParserOptions({help: 'record changes'}));
+            subparsers.addParser('status', createParserOptions({help: 'show status'}));
+            return parser;
+        },
+        'should show the aliases in help': function (topic) {
+            assert.ok(topic.formatHelp().indexOf('    checkout (co)       switch branches\n') >= 0);
+        },
+        'should set the parser name for aliases': function (topic) {
+            var namespace = topic.parseArgs([ 'co', 'master' ]);
+            assert.strictEqual(namespace.command, 'checkout');
+            assert.strictEqual(namespace.branch, 'master');
+        },
+        'should accept unambiguous prefixes': function (topic) {
+            assert.strictEqual(topic.parseArgs([ 'stat' ]).command, 'status');
+            assert.strictEqual(topic.parseArgs([ 'che', 'master' ]).command, 'checkout');
+            assert.strictEqual(topic.safeParse([ 'c' ]).errors[0].code, 'AMBIGUOUS_CHOICE');
+        },
+        'should suggest the closest parser': function (topic) {
+            var errors = topic.safeParse([ 'stauts' ]).errors;
+            assert.strictEqual(errors[0].code, 'INVALID_CHOICE');
+            assert.strictEqual(errors[0].message, 'Unknown parser "stauts", did you mean "status"? (choices: [checkout, co, commit, status]).');
+            assert.strictEqual(topic.safeParse([ 'xyz' ]).errors[0].message, 'Unknown parser "xyz" (choices: [checkout, co, commit, status]).');
+        },
+        'should reject conflicting names': function (topic) {
+            var subparsers = createParser().addSubparsers();
+            subparsers.addParser('a', createParserOptions());
+            assert.throws(function () {
+                subparsers.addParser('b', createParserOptions({aliases: [ 'a' ]}));
+            });
+        }
+    },
+    'parseArgs() / with nested subparsers': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'});
+            parser.addArgument([ '-v', '--verbose' ], {action: 'count', defaultValue: 0, global: true, help: 'more output'});
+            var remote = parser.addSubparsers({destination: 'command'}).addParser('remote');
+            parser.addArgument([ '--color' ], {action: 'store', global: true});
+            var add = remote.addSubparsers({destination: 'remoteCommand'}).addParser('add');
+            add.addArgument([ 'name' ], {action: 'store'});
+            return parser;
+        },
+        'should store the name of each level': function (topic) {
+            var namespace = topic.parseArgs([ 'remote', 'add', 'origin' ]);
+            assert.strictEqual(namespace.command, 'remote');
+            assert.strictEqual(namespace.remoteCommand, 'add');
+            assert.strictEqual(namespace.name, 'origin');
+        },
+        'should accept global arguments at any depth': function (topic) {
+            var namespace = topic.parseArgs([ '-v', 'remote', '-v', 'add', 'origin', '-v', '--color', 'red' ]);
+            assert.strictEqual(namespace.verbose, 3);
+            assert.strictEqual(namespace.color, 'red');
+            assert.strictEqual(namespace.sourceOf('color').source, 'cli');
+        },
+        'should report unrecognized arguments of subparsers': function (topic) {
+            var errors = topic.safeParse([ 'remote', 'add', 'origin', '--bad' ]).errors;
+            assert.strictEqual(errors[0].code, 'UNRECOGNIZED_ARGUMENT');
+        },
+        'should show inherited options in help': function (topic) {
+            var help = topic._getSubparsers()[0]._getSubparsers()[0].formatHelp();
+            assert.ok(help.indexOf('Inherited options:\n  -v, --verbose  more output\n  --color COLOR\n') >= 0);
+        },
+        'should reject global positionals': function (topic) {
+            assert.throws(function () {
+                createParser().addArgument([ 'file' ], {global: true});
+            });
+        }
+    },
+    'parseArgs() / with lazy subparsers': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'}),
+                subparsers = parser.addSubparsers({destination: 'command'});
+            parser.loaded = [];
+            subparsers.addParser('build', {
+                help: 'build the project',
+                aliases: [ 'b' ],
+                load: function (build) {
+                    parser.loaded.push('build');
+                    return function (build) {
+                        build.addArgument([ '--release' ], {action: 'storeTrue'});
+                    };
+                }
+            });
+            subparsers.addParser('test', {
+                help: 'run the tests',
+                load: function (test) {
+                    parser.loaded.push('test');
+                    test.addArgument([ 'files' ], {action: 'store', nargs: '*'});
+                }
+            });
+            return parser;
+        },
+        'should list the parsers in help without loading them': function (topic) {
+            var help = topic.formatHelp();
+            assert.ok(help.indexOf('    build (b)     build the project\n') >= 0);
+            assert.ok(help.indexOf('    test          run the tests\n') >= 0);
+            assert.deepEqual(topic.loaded, []);
+        },
+        'should load the selected parser only once': function (topic) {
+            assert.strictEqual(topic.parseArgs([ 'b', '--release' ]).release, true);
+            assert.strictEqual(topic.parseArgs([ 'build' ]).release, false);
+            assert.deepEqual(topic.loaded, [ 'build' ]);
+        },
+        'should not return the lazy parsers': function (topic) {
+            var parser = createParser({program: 'tool'}),
+                subparsers = parser.addSubparsers({destination: 'command'});
+            assert.strictEqual(subparsers.addParser('lint', {load: function (lint) {}}), undefined);
+            assert.ok(subparsers.addParser('clean') instanceof ArgumentParser);
+        },
+        'should load all the parsers when asked': function (topic) {
+            assert.strictEqual(topic._getSubparsers(true).length, 2);
+            assert.deepEqual(topic.loaded.sort(), [ 'build', 'test' ]);
+        }
+    },
+    'parseArgs() / with external commands': {
+        topic: function (item) {
+            var fs = require('fs'),
+                directory = require('os').tmpdir() + '/argparse-external-test-' + process.pid,
+                parser = createParser({program: 'tool'});
+
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory);
+            }
+            fs.writeFileSync(directory + '/tool-hello', '#!/bin/sh\nexit $#\n', {mode: 493});
+            fs.writeFileSync(directory + '/tool-notes.txt', '', {mode: 420});
+            parser.addSubparsers({
+                destination: 'command',
+                external: true,
+                externalDirectories: [ directory ]
+            }).addParser('build', {help: 'build the project'});
+            parser.directory = directory;
+            return parser;
+        },
+        'should list the external commands in help': function (topic) {
+            var help = topic.formatHelp();
+            assert.ok(help.indexOf('    build  build the project\n    hello  external command\n') >= 0);
+            assert.ok(help.indexOf('notes') < 0);
+        },
+        'should run the external command and exit with its status': function (topic) {
+            assert.throws(function () {
+                topic.parseArgs([ 'hello', 'a', '--b', 'c' ]);
+            }, function (e) {
+                return e instanceof argparse.SystemExit && e.code === 3;
+            });
+        },
+        'should leave the external command to the caller when collecting the errors': function (topic) {
+            var result = topic.safeParse([ 'hello', 'a', '--b', 'c' ]);
+            assert.strictEqual(result.exit, undefined);
+            assert.deepEqual(result.external, {file: topic.directory + '/tool-hello', args: [ 'a', '--b', 'c' ]});
+            assert.strictEqual(result.namespace.command, 'hello');
+            assert.strictEqual(topic.safeParse([ 'build' ]).external, undefined);
+        },
+        'should leave the help of the external command to the caller when collecting the errors': function (topic) {
+            var parser = createParser({program: 'tool'}),
+                result;
+
+            parser.addSubparsers({external: true, externalDirectories: [ topic.directory ], helpCommand: true});
+            result = parser.safeParse([ 'help', 'hello' ]);
+            assert.strictEqual(result.exit, undefined);
+            assert.deepEqual(result.external, {file: topic.directory + '/tool-hello', args: [ '--help' ]});
+        },
+        'should not look up the external commands for the parsers': function (topic) {
+            var parser = createParser({program: 'tool'}),
+                subparsers = parser.addSubparsers({destination: 'command', external: true}),
+                lookups = 0;
+            subparsers.addParser('build');
+            subparsers._getExternalCommands = function () {
+                lookups += 1;
+                return {};
+            };
+            assert.strictEqual(parser.parseArgs([ 'build' ]).command, 'build');
+            assert.strictEqual(lookups, 0);
+        },
+        'should suggest external commands': function (topic) {
+            assert.strictEqual(topic.safeParse([ 'helo' ]).errors[0].message,
+                'Unknown parser "helo", did you mean "hello"? (choices: [build, hello]).');
+        },
+        'when parsing asynchronously': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.parseArgsAsync([ 'hello', 'a' ]).then(function (namespace) {
+                    callback(null, {namespace: namespace, external: parser.getExternalCommand(), directory: parser.directory});
+                }, callback);
+            },
+            'should leave the external command to the caller': function (topic) {
+                assert.strictEqual(topic.namespace.command, 'hello');
+                assert.deepEqual(topic.external, {file: topic.directory + '/tool-hello', args: [ 'a' ]});
+            }
+        },
+        teardown: function (topic) {
+            removePath(topic.directory);
+        }
+    },
+    'parseArgs() / with help command': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'}),
+                subparsers = parser.addSubparsers({destination: 'command', helpCommand: true}),
+                remote = subparsers.addParser('remote', {help: 'manage remotes'}),
+                remoteSubparsers = remote.addSubparsers({destination: 'remoteCommand'});
+
+            remoteSubparsers.addParser('add', {help: 'add a remote', aliases: [ 'a' ]}).addArgument([ 'name' ], {action: 'store'});
+            remoteSubparsers.addParser('rm', {help: 'remove a remote'});
+            subparsers.addParser('deploy', {
+                help: 'deploy the project',
+                load: function (deploy) {
+                    deploy.addArgument([ '--env' ], {action: 'store'});
+                }
+            });
+            parser.printed = [];
+            parser._printMessage = function (message) {
+                parser.printed.push(message);
+            };
+            return parser;
+        },
+        'should show the help of a command path': function (topic) {
+            topic.printed = [];
+            assert.throws(function () {
+                topic.parseArgs([ 'help', 'remote', 'a' ]);
+            }, argparse.SystemExit);
+            assert.deepEqual(topic.printed, [ 'usage: tool remote add name\n\nPositional arguments:\n  name\n' ]);
+        },
+        'should show the help of all the commands': function (topic) {
+            topic.printed = [];
+            assert.throws(function () {
+                topic.parseArgs([ 'help', '--all' ]);
+            }, argparse.SystemExit);
+            assert.ok(topic.printed[0].indexOf('Commands:\n  remote     manage remotes\n    add (a)  add a remote\n' +
+                '    rm       remove a remote\n  deploy     deploy the project\n') >= 0);
+            assert.ok(topic.printed[0].indexOf('usage: tool deploy [--env ENV]\n') >= 0);
+        },
+        'should report unknown commands': function (topic) {
+            assert.strictEqual(topic.safeParse([ 'help', 'remote', 'ad', 'x' ]).errors[0].code, 'INVALID_CHOICE');
+        }
+    },
+    'parseArgs() / with environment variables': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'foo',
+                envPrefix: 'ENVTEST'
+            });
+            parser.addArgument([ '-n', '--number' ], {
+                action: 'store',
+                type: 'int',
+                required: true
+            });
+            parser.addArgument([ '-v', '--verbose' ], {
+                action: 'count'
+            });
+            parser.addArgument([ '-q', '--quiet' ], {
+                action: 'storeTrue'
+            });
+            parser.addArgument([ '-t', '--tag' ], {
+                action: 'append'
+            });
+            parser.addArgument([ '--url' ], {
+                action: 'store',
+                env: 'ENVTEST_OTHER_URL'
+            });
+            process.env.ENVTEST_NUMBER = '4';
+            process.env.ENVTEST_VERBOSE = '2';
+            process.env.ENVTEST_QUIET = 'yes';
+            process.env.ENVTEST_TAG = 'a, b';
+            process.env.ENVTEST_OTHER_URL = 'http://localhost';
+            return parser;
+        },
+        'should read missing arguments from the environment': function (topic) {
+            assert.deepEqual(topic.parseArgs([]), new Namespace({
+                number: 4,
+                verbose: 2,
+                quiet: true,
+                tag: [ 'a', 'b' ],
+                url: 'http://localhost'
+            }));
+        },
+        'should prefer the command line': function (topic) {
+            var namespace = topic.parseArgs([ '-n', '1', '-v', '-t', 'c' ]);
+            assert.strictEqual(namespace.number, 1);
+            assert.strictEqual(namespace.verbose, 1);
+            assert.deepEqual(namespace.tag, [ 'c' ]);
+        },
+        'should convert and check environment values': function (topic) {
+            process.env.ENVTEST_NUMBER = 'x';
+            process.env.ENVTEST_QUIET = 'maybe';
+            var errors = topic.safeParse([]).errors;
+            process.env.ENVTEST_NUMBER = '4';
+            process.env.ENVTEST_QUIET = 'yes';
+            assert.deepEqual(errors.map(function (error) {
+                return error.code;
+            }), [ 'INVALID_VALUE', 'INVALID_VALUE' ]);
+            assert.equal(errors[0].message, 'Invalid int value: x (environment variable ENVTEST_NUMBER)');
+            assert.equal(errors[1].message, 'Invalid boolean value: maybe (environment variable ENVTEST_QUIET)');
+        }
+    },
+    'parseArgs() / with configuration files': {
+        topic: function (item) {
+            var directory = require('os').tmpdir() + '/argparse-config-test-' + process.pid;
+            if (!require('fs').existsSync(directory)) {
+                require('fs').mkdirSync(directory);
+            }
+            require('fs').writeFileSync(directory + '/base.json', JSON.stringify({
+                port: '8080',
+                verbose: 2,
+                tags: [ 'a', 'b' ],
+                mode: 'fast'
+            }));
+            require('fs').writeFileSync(directory + '/local.ini', 'mode = slow\nurl = http://localhost\n');
+            require('fs').writeFileSync(directory + '/local.yml', 'tags: [c]\nmode: medium\nother: 1\n');
+
+            var parser = createParser({
+                program: 'foo',
+                configFiles: [ directory + '/base.json', directory + '/missing.json' ],
+                configOption: '--config',
+                envPrefix: 'CONFIGTEST'
+            });
+            parser.addArgument([ '--port' ], {
+                action: 'store',
+                type: 'int'
+            });
+            parser.addArgument([ '-v', '--verbose' ], {
+                action: 'count'
+            });
+            parser.addArgument([ '-t', '--tags' ], {
+                action: 'append'
+            });
+            parser.addArgument([ '--mode' ], {
+                action: 'store',
+                choices: [ 'fast', 'slow' ]
+            });
+            parser.addArgument([ '--url' ], {
+                action: 'store',
+                defaultValue: 'http://example.com'
+            });
+            return {parser: parser, directory: directory};
+        },
+        teardown: function (topic) {
+            removePath(topic.directory);
+        },
+        'should read missing arguments from the configuration files': function (topic) {
+            assert.deepEqual(topic.parser.parseArgs([]), new Namespace({
+                port: 8080,
+                verbose: 2,
+                tags: [ 'a', 'b' ],
+                mode: 'fast',
+                url: 'http://example.com'
+            }));
+        },
+        'should override the configuration files with --config': function (topic) {
+            var namespace = topic.parser.parseArgs([ '--config', topic.directory + '/local.ini' ]);
+            assert.strictEqual(namespace.mode, 'slow');
+            assert.strictEqual(namespace.url, 'http://localhost');
+            assert.strictEqual(namespace.port, 8080);
+        },
+        'should prefer the environment and the command line': function (topic) {
+            var namespace;
+            process.env.CONFIGTEST_PORT = '1';
+            namespace = topic.parser.parseArgs([ '--mode', 'slow', '-t', 'c' ]);
+            delete process.env.CONFIGTEST_PORT;
+            assert.strictEqual(namespace.port, 1);
+            assert.strictEqual(namespace.mode, 'slow');
+            assert.deepEqual(namespace.tags, [ 'c' ]);
+        },
+        'should report unknown keys and invalid values': function (topic) {
+            var errors = topic.parser.safeParse([ '--config', topic.directory + '/local.yml' ]).errors;
+            assert.deepEqual(errors.map(function (error) {
+                return error.code;
+            }), [ 'UNKNOWN_CONFIG_KEY', 'INVALID_CHOICE' ]);
+        },
+        'should report invalid boolean values': function (topic) {
+            var parser = createParser({
+                program: 'foo',
+                configFiles: [ topic.directory + '/flags.ini' ]
+            });
+            parser.addArgument([ '--quiet' ], {
+                action: 'storeTrue'
+            });
+            parser.addArgument([ '--port' ], {
+                action: 'store',
+                type: 'int'
+            });
+            require('fs').writeFileSync(topic.directory + '/flags.ini', 'quiet = banana\nport = x\n');
+            var errors = parser.safeParse([]).errors;
+            assert.deepEqual(errors.map(function (error) {
+                return error.code;
+            }), [ 'INVALID_VALUE', 'INVALID_VALUE' ]);
+            assert.equal(errors[0].message, 'Invalid boolean value: banana (configuration file ' +
+                topic.directory + '/flags.ini)');
+            assert.equal(errors[1].message, 'Invalid int value: x (configuration file ' +
+                topic.directory + '/flags.ini)');
+        },
+        'should report a missing --config file': function (topic) {
+            var errors = topic.parser.safeParse([ '--config', topic.directory + '/missing.json' ]).errors;
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].code, 'INVALID_CONFIG');
+        }
+    },
+    'parseArgs() / with discovered configuration files': {
+        topic: function (item) {
+            var fs = require('fs'),
+                home = require('os').tmpdir() + '/argparse-rc-test-' + process.pid;
+            [ home, home + '/.config', home + '/.config/foo', home + '/project', home + '/project/src' ].forEach(function (directory) {
+                if (!fs.existsSync(directory)) {
+                    fs.mkdirSync(directory);
+                }
+            });
+            fs.writeFileSync(home + '/.config/foo/config.json', JSON.stringify({port: 1, mode: 'xdg'}));
+            fs.writeFileSync(home + '/project/package.json', JSON.stringify({name: 'bar', foo: {mode: 'package'}}));
+            fs.writeFileSync(home + '/project/src/.foorc', 'tag = rc\n');
+
+            var parser = createParser({
+                program: 'foo',
+                configName: 'foo'
+            });
+            parser.addArgument([ '--port' ], {
+                action: 'store',
+                type: 'int'
+            });
+            parser.addArgument([ '--mode' ], {
+                action: 'store'
+            });
+            parser.addArgument([ '--tag' ], {
+                action: 'store'
+            });
+            return {parser: parser, home: home};
+        },
+        teardown: function (topic) {
+            removePath(topic.home);
+        },
+        'should merge the discovered files and keep their origin': function (topic) {
+            var env = {HOME: process.env.HOME, XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME},
+                cwd = process.cwd(),
+                files,
+                namespace;
+            process.env.HOME = topic.home;
+            delete process.env.XDG_CONFIG_HOME;
+            process.chdir(topic.home + '/project/src');
+            try {
+                files = topic.parser.findConfigFiles();
+                namespace = topic.parser.parseArgs([]);
+            } finally {
+                process.chdir(cwd);
+                process.env.HOME = env.HOME;
+                if (env.XDG_CONFIG_HOME !== undefined) {
+                    process.env.XDG_CONFIG_HOME = env.XDG_CONFIG_HOME;
+                }
+            }
+            assert.deepEqual(files.map(function (file) {
+                return file.file.substr(topic.home.length);
+            }), [ '/.config/foo/config.json', '/project/package.json', '/project/src/.foorc' ]);
+            assert.deepEqual(namespace, new Namespace({port: 1, mode: 'package', tag: 'rc'}));
+            assert.deepEqual(topic.parser.configSources.map(function (source) {
+                return source.values;
+            }), [ {port: 1}, {mode: 'package'}, {tag: 'rc'} ]);
+        }
+    },
+    'parseArgs() / with sources': {
+        topic: function (item) {
+            var file = require('os').tmpdir() + '/argparse-sources-test-' + process.pid;
+            require('fs').writeFileSync(file, '--tag\nbar\n');
+
+            var parser = createParser({
+                program: 'foo',
+                prefixCharsFile: '@'
+            });
+            parser.addArgument([ '-v', '--verbose' ], {
+                action: 'count',
+                defaultValue: 0
+            });
+            parser.addArgument([ '--tag' ], {
+                action: 'store'
+            });
+            parser.addArgument([ '--port' ], {
+                action: 'store',
+                env: 'SOURCESTEST_PORT'
+            });
+            parser.addArgument([ 'name' ], {
+                action: 'store'
+            });
+            parser.setDefaults({extra: true});
+            return {parser: parser, file: file};
+        },
+        teardown: function (topic) {
+            removePath(topic.file);
+        },
+        'should record where each value comes from': function (topic) {
+            var namespace;
+            process.env.SOURCESTEST_PORT = '80';
+            namespace = topic.parser.parseArgs([ 'baz', '@' + topic.file ]);
+            delete process.env.SOURCESTEST_PORT;
+            assert.deepEqual(namespace.sources(), {
+                verbose: {source: 'default'},
+                extra: {source: 'parserDefault'},
+                name: {source: 'cli', index: 0},
+                tag: {source: 'file', index: 1, file: topic.file, optionString: '--tag'},
+                port: {source: 'env', env: 'SOURCESTEST_PORT'}
+            });
+        },
+        'should record the option string used': function (topic) {
+            var namespace = topic.parser.parseArgs([ 'baz', '--verbose' ]);
+            assert.deepEqual(namespace.sourceOf('verbose'), {source: 'cli', index: 1, optionString: '--verbose'});
+        }
+    },
+    'setDefaults()': {
+        topic: function (item) {
+            var parser = createParser({program: 'foo'});
+            parser.addArgument([ '--foo' ], {
+                action: 'store',
+                defaultValue: 'a'
+            });
+            parser.setDefaults({foo: 'b', bar: 'c'});
+            return parser;
+        },
+        'should update the default of existing arguments': function (topic) {
+            assert.strictEqual(topic.getDefault('foo'), 'b');
+            assert.strictEqual(topic.getDefault('bar'), 'c');
+            assert.deepEqual(topic.parseArgs([]), new Namespace({foo: 'b', bar: 'c'}));
+        }
+    },
+    'generateCompletion()': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'});
+            parser.addArgument([ '-v', '--verbose' ], {action: 'storeTrue', global: true, help: 'more output'});
+            parser.addArgument([ '--color' ], {action: 'store', choices: [ 'red', 'blue' ], help: 'the color'});
+            parser.addArgument([ '--secret' ], {action: 'store', help: argparse.SUPPRESS});
+            var remote = parser.addSubparsers({destination: 'command'}).addParser('remote', {help: 'manage remotes', aliases: [ 'r' ]});
+            var add = remote.addSubparsers({destination: 'remoteCommand'}).addParser('add', {help: 'add a remote'});
+            add.addArgument([ '--file' ], {action: 'store'});
+            return parser;
+        },
+        'should complete with bash': function (topic) {
+            var script = topic.generateCompletion('bash');
+            assert.ok(script.indexOf("            ':remote'|':r') context='remote' ;;\n") >= 0);
+            assert.ok(script.indexOf("            'remote:add') context='remote add' ;;\n") >= 0);
+            assert.ok(script.indexOf("            'remote add:--file') skip=1 ;;\n") >= 0);
+            assert.ok(script.indexOf("            ':--color') COMPREPLY=($(compgen -W 'red blue' -- \"$cur\")); return ;;\n") >= 0);
+            assert.ok(script.indexOf("        '') opts='-v --verbose --color'; words='remote r' ;;\n") >= 0);
+            assert.ok(script.indexOf("        'remote add') opts='-v --verbose --file'; words='' ;;\n") >= 0);
+            assert.ok(script.indexOf('complete -o default -F _tool_completion tool\n') >= 0);
+        },
+        'should complete with zsh': function (topic) {
+            var script = topic.generateCompletion('zsh');
+            assert.ok(script.indexOf('#compdef tool\n') === 0);
+            assert.ok(script.indexOf("        'remote') opts=('-v:more output' '--verbose:more output'); cmds=('add:add a remote') ;;\n") >= 0);
+        },
+        'should complete with fish': function (topic) {
+            var script = topic.generateCompletion('fish');
+            assert.ok(script.indexOf("complete -c tool -n '__tool_context \\'\\'' -l 'color' -x -a 'red blue' -d 'the color'\n") >= 0);
+            assert.ok(script.indexOf("complete -c tool -n '__tool_context \\'remote add\\'' -l 'file' -r -F -d ''\n") >= 0);
+            assert.ok(script.indexOf("complete -c tool -n '__tool_context \\'\\'' -a 'r' -d 'manage remotes'\n") >= 0);
+        },
+        'should not complete the file names of commands with fish': function (topic) {
+            var script = topic.generateCompletion('fish');
+            assert.ok(script.indexOf("complete -c tool -f\n") < 0);
+            assert.ok(script.indexOf("complete -c tool -n '__tool_context \\'remote\\'' -f\n") >= 0);
+            assert.ok(script.indexOf("complete -c tool -n '__tool_context \\'remote add\\'' -f\n") < 0);
+        },
+        'should leave out suppressed arguments': function (topic) {
+            assert.ok(topic.generateCompletion('bash').indexOf("opts='-v --verbose --color'") >= 0);
+            assert.ok(topic.generateCompletion('zsh').indexOf("'--secret:") < 0);
+            assert.ok(topic.generateCompletion('fish').indexOf("-l 'secret'") < 0);
+        },
+        'should skip the values of suppressed options': function (topic) {
+            assert.ok(topic.generateCompletion('bash').indexOf("            ':--secret') skip=1 ;;\n") >= 0);
+            assert.ok(topic.generateCompletion('zsh').indexOf("            ':--secret') skip=1 ;;\n") >= 0);
+            assert.ok(topic.generateCompletion('fish').indexOf("            case ':--secret'\n                set skip 1\n") >= 0);
+        },
+        'should reject unknown shells': function (topic) {
+            assert.throws(function () {
+                topic.generateCompletion('csh');
+            });
+        },
+        'should reject programs that are not plain words': function (topic) {
+            [ 'my tool', 'tool;rm', "tool'" ].forEach(function (program) {
+                assert.throws(function () {
+                    createParser({program: program}).generateCompletion('bash');
+                }, /should be a plain word/);
+            });
+        }
+    },
+    'complete()': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'});
+            parser.addArgument([ '-v', '--verbose' ], {action: 'storeTrue', global: true});
+            parser.addArgument([ '--color' ], {action: 'store', choices: [ 'red', 'blue' ]});
+            var subparsers = parser.addSubparsers({destination: 'command'});
+            var checkout = subparsers.addParser('checkout', {aliases: [ 'co' ]});
+            checkout.addArgument([ 'branch' ], {
+                action: 'store',
+                completer: function (prefix, action, parser) {
+                    return Promise.resolve([ 'main', 'master', 'dev' ]);
+                }
+            });
+            checkout.addArgument([ 'files' ], {action: 'store', nargs: '*', choices: [ 'a.txt', 'b.txt' ]});
+            subparsers.addParser('clean');
+            return parser;
+        },
+        'with various words': {
+            topic: function (parser) {
+                var callback = this.callback;
+                Promise.all([
+                    parser.complete([ '' ]),
+                    parser.complete([ '--' ]),
+                    parser.complete([ '--color', '' ]),
+                    parser.complete([ '--color=r' ]),
+                    parser.complete([ '-v', 'c' ]),
+                    parser.complete([ 'co', 'ma' ]),
+                    parser.complete([ 'checkout', 'main', '' ]),
+                    parser.complete([ 'checkout', 'main', '--v' ]),
+                    parser.complete([ 'unknown', '' ])
+                ]).then(function (candidates) {
+                    callback(null, candidates);
+                }, callback);
+            },
+            'should complete the commands': function (error, candidates) {
+                assert.isNull(error);
+                assert.deepEqual(candidates[0], [ 'checkout', 'co', 'clean' ]);
+                assert.deepEqual(candidates[4], [ 'checkout', 'co', 'clean' ]);
+                assert.deepEqual(candidates[8], []);
+            },
+            'should complete the option strings': function (error, candidates) {
+                assert.deepEqual(candidates[1], [ '--verbose', '--color' ]);
+                assert.deepEqual(candidates[7], [ '--verbose' ]);
+            },
+            'should complete the choices': function (error, candidates) {
+                assert.deepEqual(candidates[2], [ 'red', 'blue' ]);
+                assert.deepEqual(candidates[3], [ '--color=red' ]);
+                assert.deepEqual(candidates[6], [ 'a.txt', 'b.txt' ]);
+            },
+            'should call the completer': function (error, candidates) {
+                assert.deepEqual(candidates[5], [ 'main', 'master' ]);
+            }
+        },
+        'when run by a completion script': {
+            topic: function (parser) {
+                var callback = this.callback,
+                    output = '',
+                    argv = process.argv,
+                    run = function (args, env) {
+                        var running;
+                        process.argv = [ 'node', '/tmp/tool.js' ].concat(args);
+                        Object.keys(env).forEach(function (name) {
+                            process.env[name] = env[name];
+                        });
+                        try {
+                            running = parser.run();
+                        } finally {
+                            process.argv = argv;
+                            Object.keys(env).forEach(function (name) {
+                                delete process.env[name];
+                            });
+                        }
+                        return running;
+                    };
+                parser.stdout = {write: function (string) { output += string; }};
+                run([ 'ignored' ], {_ARGPARSE_COMPLETE: '1', COMP_LINE: 'tool co ma', COMP_POINT: '9'}).then(function (status) {
+                    return run([ '--_complete', '--color', 'b' ], {}).then(function () {
+                        parser.stdout = false;
+                        callback(null, [ status, output ]);
+                    });
+                }).catch(callback);
+            },
+            'should print the candidates': function (error, result) {
+                assert.isNull(error);
+                assert.deepEqual(result, [ 0, 'main\nmaster\nblue\n' ]);
+            }
+        },
+        'when run from the completion of another program': {
+            topic: function (parser) {
+                var callback = this.callback,
+                    tool = createParser({program: 'tool'}),
+                    running;
+                tool.addArgument([ '--foo' ], {action: 'store'});
+                tool.setDefaults({
+                    handler: function (namespace) {
+                        return namespace.foo === 'x' ? 3: 1;
+                    }
+                });
+                process.env.COMP_LINE = 'other-tool ar';
+                process.env.COMP_POINT = '13';
+                try {
+                    running = tool.run([ '--foo', 'x' ]);
+                } finally {
+                    delete process.env.COMP_LINE;
+                    delete process.env.COMP_POINT;
+                }
+                running.then(function (status) {
+                    return tool.run([ '--_complete', '--f' ]).then(function () {
+                        callback(null, [ status, 'completed' ]);
+                    }, function (error) {
+                        callback(null, [ status, error ]);
+                    });
+                }).catch(callback);
+            },
+            'should run the handler': function (error, result) {
+                assert.isNull(error);
+                assert.strictEqual(result[0], 3);
+            },
+            'should not complete explicit args': function (error, result) {
+                assert.ok(result[1] instanceof argparse.SystemExit);
+                assert.strictEqual(result[1].code, 1);
+            }
+        },
+        'generateCompletion()': {
+            topic: function (parser) {
+                return parser.generateCompletion('bash');
+            },
+            'should call the program': function (script) {
+                assert.equal(script, [
+                    '# bash completion for tool',
+                    '_tool_complete() {',
+                    "    local IFS=$'\\n'",
+                    '    COMPREPLY=($(COMP_LINE="$COMP_LINE" COMP_POINT="$COMP_POINT" _ARGPARSE_COMPLETE=1 \'tool\'))',
+                    '}',
+                    'complete -o default -F _tool_complete tool',
+                    ''
+                ].join('\n'));
+            }
+        }
+    },
+    'formatManPage()': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'tool',
+                version: '1.2.0',
+                description: 'Deploy things.\n\nUse with care.',
+                epilog: 'See the %program% site.'
+            });
+            parser.addArgument([ '--verbose' ], {action: 'storeTrue', help: 'more output'});
+            parser.addArgument([ '--secret' ], {action: 'store', help: argparse.SUPPRESS});
+            parser.addArgumentGroup({title: 'network'}).addArgument([ '--host' ], {action: 'store', metavar: 'HOST', help: 'the host'});
+            var subparsers = parser.addSubparsers({destination: 'command'});
+            subparsers.addParser('deploy', {help: 'deploy a target', aliases: [ 'd' ]}).addArgument([ 'target' ], {action: 'store'});
+            return parser;
+        },
+        'should format the sections': function (topic) {
+            var page = topic.formatManPage({date: '2024-01-02'});
+            assert.equal(page, [
+                '.TH "TOOL" 1 "2024\\-01\\-02" "tool 1.2.0"',
+                '.SH NAME',
+                'tool \\- Deploy things.',
+                '.SH SYNOPSIS',
+                '.B tool',
+                '[\\-v] [\\-\\-verbose] [\\-\\-host HOST] {deploy,d} ...',
+                '.SH DESCRIPTION',
+                '.PP',
+                'Deploy things.',
+                '.PP',
+                'Use with care.',
+                '.SH OPTIONS',
+                '.SS "Optional arguments"',
+                '.TP',
+                '\\fB\\-v\\fR, \\fB\\-\\-version\\fR',
+                'Show program\'s version number and exit.',
+                '.TP',
+                '\\fB\\-\\-verbose\\fR',
+                'more output',
+                '.SS "network"',
+                '.TP',
+                '\\fB\\-\\-host\\fR \\fIHOST\\fR',
+                'the host',
+                '.SH COMMANDS',
+                '.TP',
+                '\\fBdeploy\\fR, \\fBd\\fR',
+                'deploy a target',
+                '.SH NOTES',
+                '.PP',
+                'See the tool site.',
+                '.SH SEE ALSO',
+                '.BR tool\\-deploy (1)',
+                ''
+            ].join('\n'));
+        },
+        'should format a page per command': function (topic) {
+            var pages = topic.formatManPages({section: 8, date: '2024-01-02'});
+            assert.deepEqual(Object.keys(pages), [ 'tool.8', 'tool-deploy.8' ]);
+            assert.ok(pages['tool-deploy.8'].indexOf('.TH "TOOL\\-DEPLOY" 8 "2024\\-01\\-02" "tool 1.2.0"\n') === 0);
+            assert.ok(pages['tool-deploy.8'].indexOf('.SH NAME\ntool\\-deploy \\- deploy a target\n') >= 0);
+            assert.ok(pages['tool-deploy.8'].indexOf('.TP\n\\fItarget\\fR\n') >= 0);
+        },
+        'should write the pages': function (topic) {
+            var fs = require('fs'),
+                directory = require('os').tmpdir() + '/argparse-man-test-' + process.pid,
+                files;
+
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory);
+            }
+            files = topic.writeManPages(directory, {date: '2024-01-02'});
+            assert.deepEqual(files, [ directory + '/tool.1', directory + '/tool-deploy.1' ]);
+            assert.equal(fs.readFileSync(files[1], 'utf8'), topic.formatManPages({date: '2024-01-02'})['tool-deploy.1']);
+            files.forEach(function (file) {
+                fs.unlinkSync(file);
+            });
+            fs.rmdirSync(directory);
+        }
+    },
+    'formatHelp() / with HelpFormatterMarkdown': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'tool',
+                description: 'Deploy things.',
+                formatterClass: argparse.HelpFormatterMarkdown
+            });
+            parser.addArgument([ '-c', '--color' ], {action: 'store', choices: [ 'red', 'blue' ], defaultValue: 'red', help: 'the | color'});
+            parser.addArgument([ '--secret' ], {action: 'store', help: argparse.SUPPRESS});
+            var subparsers = parser.addSubparsers({destination: 'command', title: 'Commands'});
+            subparsers.addParser('deploy', {help: 'deploy a target', aliases: [ 'd' ]}).addArgument([ 'target' ], {action: 'store', help: 'the <target>'});
+            return parser;
+        },
+        'should format a document': function (topic) {
+            assert.equal(topic.formatHelp(), [
+                '<a id="tool"></a>',
+                '',
+                '# tool',
+                '',
+                '```',
+                'usage: tool [-c {red,blue}] {deploy,d} ...',
+                '```',
+                '',
+                'Deploy things.',
+                '',
+                '## Optional arguments',
+                '',
+                '| Flags | Metavar | Default | Choices | Help |',
+                '| --- | --- | --- | --- | --- |',
+                '| `-c`, `--color` | `{red,blue}` | `red` | `red`, `blue` | the \\| color |',
+                '',
+                '## Commands',
+                '',
+                '- [`deploy`](#tool-deploy) (`d`): deploy a target',
+                '',
+                '<a id="tool-deploy"></a>',
+                '',
+                '## tool deploy',
+                '',
+                '```',
+                'usage: tool deploy target',
+                '```',
+                '',
+                '### Positional arguments',
+                '',
+                '| Flags | Metavar | Default | Choices | Help |',
+                '| --- | --- | --- | --- | --- |',
+                '|  | `target` |  |  | the &lt;target&gt; |',
+                ''
+            ].join('\n'));
+        },
+        'should escape HTML in the description and epilog': function (topic) {
+            var parser = createParser({
+                program: 'tool',
+                description: 'Read <file> & print it.',
+                epilog: 'See <https://example.com>.',
+                formatterClass: argparse.HelpFormatterMarkdown
+            });
+            var help = parser.formatHelp();
+            assert.ok(help.indexOf('\nRead &lt;file&gt; &amp; print it.\n\n') >= 0);
+            assert.ok(help.indexOf('\nSee &lt;https://example.com&gt;.\n') >= 0);
+        },
+        'should escape HTML in the help and the headings': function (topic) {
+            var parser = createParser({program: 'tool', formatterClass: argparse.HelpFormatterMarkdown});
+            parser.addArgument([ '--input' ], {action: 'store', metavar: '<file>', help: 'read <file> & go'});
+            parser.addArgumentGroup({title: 'I/O <files>'}).addArgument([ '--out' ], {action: 'store'});
+            parser.addSubparsers({destination: 'command'}).addParser('run', {help: 'run <thing>'});
+            var help = parser.formatHelp();
+            assert.ok(help.indexOf('| `--input` | `<file>` |  |  | read &lt;file&gt; &amp; go |\n') >= 0);
+            assert.ok(help.indexOf('## I/O &lt;files&gt;\n') >= 0);
+            assert.ok(help.indexOf('- [`run`](#tool-run): run &lt;thing&gt;\n') >= 0);
+        },
+        'should format HTML with HelpFormatterHtml': function (topic) {
+            var help;
+            topic.formatterClass = argparse.HelpFormatterHtml;
+            help = topic.formatHelp();
+            topic.formatterClass = argparse.HelpFormatterMarkdown;
+            assert.ok(help.indexOf('<h1 id="tool">tool</h1>\n\n<pre><code>usage: tool [-c {red,blue}] {deploy,d} ...</code></pre>\n') === 0);
+            assert.ok(help.indexOf('<tr><td><code>-c</code>, <code>--color</code></td><td><code>{red,blue}</code></td>' +
+                '<td><code>red</code></td><td><code>red</code>, <code>blue</code></td><td>the | color</td></tr>\n') >= 0);
+            assert.ok(help.indexOf('<li><a href="#tool-deploy"><code>deploy</code></a> (<code>d</code>): deploy a target</li>\n') >= 0);
+            assert.ok(help.indexOf('<h2 id="tool-deploy">tool deploy</h2>\n') >= 0);
+            assert.ok(help.indexOf('<td>the &lt;target&gt;</td>') >= 0);
+            assert.ok(help.indexOf('secret') < 0);
+        }
+    },
+    'describe()': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool', description: 'Deploy things.'});
+            parser.addArgument([ '-c', '--count' ], {action: 'store', type: 'int', defaultValue: 1, help: 'how many'});
+            var group = parser.addArgumentGroup({required: true}, true);
+            group.addArgument([ '--fast' ], {action: 'storeTrue'});
+            group.addArgument([ '--slow' ], {action: 'storeTrue'});
+            var subparsers = parser.addSubparsers({destination: 'command'});
+            subparsers.addParser('deploy', {help: 'deploy a target', aliases: [ 'd' ]})
+                .addArgument([ 'target' ], {action: 'store', choices: [ 'staging', 'prod' ]});
+            return parser;
+        },
+        'should describe the parser': function (topic) {
+            var parser = JSON.parse(JSON.stringify(topic.describe()));
+            assert.equal(parser.program, 'tool');
+            assert.equal(parser.usage, 'tool [-c COUNT] (--fast | --slow) {deploy,d} ...');
+            assert.equal(parser.description, 'Deploy things.');
+            assert.deepEqual(parser.groups.map(function (group) {
+                return group.title;
+            }), [ 'Positional arguments', 'Optional arguments' ]);
+            assert.deepEqual(parser.checkedGroups, [ {
+                kind: 'mutex',
+                required: true,
+                actions: [ parser.actions[1], parser.actions[2] ],
+                members: [ parser.actions[1], parser.actions[2] ]
+            } ]);
+        },
+        'should describe the actions': function (topic) {
+            var parser = topic.describe();
+            assert.deepEqual(JSON.parse(JSON.stringify(parser.actions[0])), {
+                optionStrings: [ '-c', '--count' ],
+                destination: 'count',
+                type: 'int',
+                defaultValue: 1,
+                required: false,
+                help: 'how many',
+                global: false
+            });
+            assert.equal(parser.actions[1].optionUsage, '--fast');
+        },
+        'should describe the commands recursively': function (topic) {
+            var commands = topic.describe().actions[3].commands;
+            assert.equal(commands.length, 1);
+            assert.equal(commands[0].name, 'deploy');
+            assert.deepEqual(commands[0].aliases, [ 'd' ]);
+            assert.equal(commands[0].help, 'deploy a target');
+            assert.equal(commands[0].parser.program, 'tool deploy');
+            assert.deepEqual(commands[0].parser.actions[0].choices, [ 'staging', 'prod' ]);
+            assert.strictEqual(topic.describe({recursive: false}).actions[3].commands[0].parser, undefined);
+        },
+        'should be rendered by formatterClass': function (topic) {
+            function HelpFormatterCommands(options) {
+                argparse.HelpFormatter.call(this, options);
+            }
+            require('util').inherits(HelpFormatterCommands, argparse.HelpFormatter);
+            HelpFormatterCommands.prototype.render = function (parser) {
+                return parser.actions.map(function (action) {
+                    return action.destination;
+                }).join(',');
+            };
+            topic.formatterClass = HelpFormatterCommands;
+            try {
+                assert.equal(topic.formatHelp(), 'count,fast,slow,command');
+            } finally {
+                topic.formatterClass = 'HelpFormatter';
+            }
+        }
+    },
+    'fromSpec() / toSpec()': {
+        topic: function (item) {
+            return {
+                program: 'tool',
+                description: 'Deploy things.',
+                arguments: [
+                    {names: [ '-c', '--count' ], type: 'int', defaultValue: 1, help: 'how many'}
+                ],
+                groups: [
+                    {mutuallyExclusive: true, required: true, arguments: [
+                        {names: [ '--fast' ], action: 'storeTrue'},
+                        {names: [ '--slow' ], action: 'storeTrue'}
+                    ]}
+                ],
+                subparsers: {destination: 'command'},
+                commands: {
+                    deploy: {
+                        help: 'deploy a target',
+                        aliases: [ 'd' ],
+                        arguments: [ {names: [ 'target' ], choices: [ 'staging', 'prod' ]} ]
+                    }
+                }
+            };
+        },
+        'should build the parser': function (topic) {
+            var parser = argparse.ArgumentParser.fromSpec(topic, {debug: true, stdout: false, stderr: false});
+            var args = parser.parseArgs([ '--fast', '-c', '2', 'd', 'prod' ]);
+            assert.deepEqual(args, {count: 2, fast: true, slow: false, command: 'deploy', target: 'prod'});
+            assert.equal(parser.formatUsage(), 'usage: tool [-c COUNT] (--fast | --slow) {deploy,d} ...\n');
+        },
+        'should round-trip with toSpec()': function (topic) {
+            var parser = argparse.ArgumentParser.fromSpec(topic, {debug: true, stdout: false, stderr: false});
+            assert.deepEqual(parser.toSpec(), topic);
+        },
+        'should round-trip an existing parser': function () {
+            var parser = createParser({program: 'tool', help: true, version: '1.0', envPrefix: 'TOOL'});
+            parser.addArgument([ '--color' ], {action: 'booleanOptional', global: true});
+            parser.addArgumentGroup({title: 'Output'}).addArgument([ '--format' ], {choices: [ 'json', 'text' ]});
+            var group = parser.addArgumentGroup({maxCount: 1});
+            group.addArgument([ '--out' ]);
+            group.addArgument([ '--stdout' ], {action: 'storeTrue'});
+            parser.addSubparsers({title: 'Commands'}).addParser('deploy').addArgument([ 'target' ], {nargs: '+'});
+            var spec = parser.toSpec();
+            assert.equal(spec.help, true);
+            assert.deepEqual(spec.arguments, [ {names: [ '--color' ], action: 'booleanOptional', global: true} ]);
+            var parserNew = argparse.ArgumentParser.fromSpec(JSON.parse(JSON.stringify(spec)), {
+                debug: true, stdout: false, stderr: false
+            });
+            assert.deepEqual(parserNew.toSpec(), spec);
+            assert.equal(parserNew.formatHelp(), parser.formatHelp());
+        },
+        'should keep the order of the arguments around groups': function () {
+            var parser = createParser({program: 't'});
+            parser.addArgument([ 'a' ]);
+            parser.addArgumentGroup({title: 'G'}).addArgument([ 'b' ]);
+            parser.addArgument([ 'c' ]);
+            var spec = parser.toSpec();
+            assert.deepEqual(spec.arguments, [ {names: [ 'a' ]}, {group: {title: 'G', arguments: [ {names: [ 'b' ]} ]}}, {names: [ 'c' ]} ]);
+            assert.strictEqual(spec.groups, undefined);
+            var parserNew = argparse.ArgumentParser.fromSpec(JSON.parse(JSON.stringify(spec)), {
+                debug: true, stdout: false, stderr: false
+            });
+            assert.equal(parserNew.formatUsage(), 'usage: t a b c\n');
+            assert.deepEqual(parserNew.toSpec(), spec);
+            assert.deepEqual(parserNew.parseArgs([ '1', '2', '3' ]), {a: '1', b: '2', c: '3'});
+        },
+        'should report the path of invalid values': function (topic) {
+            var fromSpec = function (spec) {
+                return function () {
+                    argparse.ArgumentParser.fromSpec(spec, {debug: true, stdout: false, stderr: false});
+                };
+            };
+            topic.commands.deploy.arguments.push({names: [ '--force' ], nargs: 'x'});
+            try {
+                assert.throws(fromSpec(topic), /^Error: Invalid spec at commands\.deploy\.arguments\[1\]\.nargs: nargs should be/);
+            } finally {
+                topic.commands.deploy.arguments.pop();
+            }
+            assert.throws(fromSpec({arguments: [ {names: [ '--a' ], action: 'nope'} ]}),
+                /^Error: Invalid spec at arguments\[0\]\.action: unknown action "nope"$/);
+            assert.throws(fromSpec({groups: [ {titel: 'Output'} ]}), /^Error: Invalid spec at groups\[0\]\.titel: unknown key$/);
+            assert.throws(fromSpec({arguments: [ {names: [ '--a' ]}, {names: [ '--a' ]} ]}),
+                /^Error: Invalid spec at arguments\[1\]: Conflicting option string/);
+            assert.throws(fromSpec({arguments: [ {} ]}), /^Error: Invalid spec at arguments\[0\]\.names: required$/);
+            assert.throws(fromSpec({groups: [ {arguments: [ {names: []} ]} ]}),
+                /^Error: Invalid spec at groups\[0\]\.arguments\[0\]\.names: required$/);
+            assert.throws(fromSpec({arguments: [ {group: {titel: 'G'}} ]}),
+                /^Error: Invalid spec at arguments\[0\]\.group\.titel: unknown key$/);
+        }
+    },
+    'parseArgsIntermixed()': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'foo'
+            });
+            parser.addArgument([ '-v', '--verbose' ], {
+                action: 'storeTrue'
+            });
+            parser.addArgument([ '-o', '--output' ], {
+                action: 'store'
+            });
+            parser.addArgument([ 'command' ], {
+                action: 'store'
+            });
+            parser.addArgument([ 'files' ], {
+                action: 'store',
+                nargs: '+'
+            });
+            return parser;
+        },
+        'should collect positionals around optionals': function (topic) {
+            assert.deepEqual(
+                topic.parseArgsIntermixed([ 'cp', 'a', '--verbose', 'b', '-o', 'out', 'c' ]),
+                new Namespace({
+                    verbose: true,
+                    output: 'out',
+                    command: 'cp',
+                    files: [ 'a', 'b', 'c' ]
+                })
+            );
+        },
+        'should parse the system args without the script by default': function (topic) {
+            var argv = process.argv,
+                args;
+            process.argv = [ 'node', '/tmp/foo.js', 'cp', 'a', '-v', 'b' ];
+            try {
+                args = topic.parseArgsIntermixed();
+            } finally {
+                process.argv = argv;
+            }
+            assert.strictEqual(args.command, 'cp');
+            assert.deepEqual(args.files, [ 'a', 'b' ]);
+        },
+        'should throw an error on missing positionals': function (topic) {
+            assert.throws(function () {
+                topic.parseArgsIntermixed([ 'cp', '-v' ]);
+            });
+        },
+        'should return unknown arguments with parseArgsKnownIntermixed()': function (topic) {
+            var result = topic.parseArgsKnownIntermixed([ 'cp', '-x', 'a' ]);
+            assert.deepEqual(result[0].files, [ 'a' ]);
+            assert.deepEqual(result[1], [ '-x' ]);
+        },
+        'should reject PARSER and REMAINDER positionals': function (topic) {
+            var parser = createParser({
+                program: 'foo'
+            });
+            parser.addArgument([ 'rest' ], {
+                action: 'store',
+                nargs: argparse.REMAINDER
+            });
+            assert.throws(function () {
+                parser.parseArgsIntermixed([ 'a' ]);
+            }, /not supported/);
+        }
+    },
+    'safeParse()': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'foo',
+                debug: false,
+                help: true
+            });
+            parser.addArgument([ '-n', '--number' ], {
+                action: 'store',
+                type: 'int'
+            });
+            parser.addArgument([ '-c', '--color' ], {
+                action: 'store',
+                choices: [ 'red', 'blue' ]
+            });
+            parser.addArgument([ 'file' ], {
+                action: 'store'
+            });
+            return parser;
+        },
+        'should return the namespace without errors': function (topic) {
+            var result = topic.safeParse([ '-n', '2', 'bar' ]);
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.namespace, new Namespace({
+                number: 2,
+                file: 'bar'
+            }));
+        },
+        'should collect every error with its code and index': function (topic) {
+            var result = topic.safeParse([ '-n', 'x', '-c', 'green', '--baz' ]);
+            assert.deepEqual(result.errors.map(function (error) {
+                return [ error.code, error.index, error.argumentName ];
+            }), [
+                [ 'INVALID_VALUE', 0, '-n/--number' ],
+                [ 'INVALID_CHOICE', 2, '-c/--color' ],
+                [ 'TOO_FEW_ARGUMENTS', undefined, 'file' ],
+                [ 'UNRECOGNIZED_ARGUMENT', 4, '--baz' ]
+            ]);
+            assert.ok(result.errors[0] instanceof argparse.ArgumentError);
+        },
+        'should parse the system args without the script by default': function (topic) {
+            var argv = process.argv,
+                result;
+            process.argv = [ 'node', '/tmp/foo.js', 'bar' ];
+            try {
+                result = topic.safeParse();
+            } finally {
+                process.argv = argv;
+            }
+            assert.deepEqual(result.errors, []);
+            assert.strictEqual(result.namespace.file, 'bar');
+        },
+        'should return the exit requested by an action': function (topic) {
+            var result = topic.safeParse([ '-h' ]);
+            assert.equal(result.exit.code, 0);
+            assert.ok(result.exit instanceof argparse.SystemExit);
+        }
+    },
+    'run()': {
+        topic: function (item) {
+            var parser = createParser({program: 'tool'});
+            parser.addArgument([ '-v', '--verbose' ], {action: 'storeTrue'});
+            var subparsers = parser.addSubparsers({destination: 'command'});
+            subparsers.addParser('deploy', {
+                handler: function (namespace) {
+                    return new Promise(function (resolve) {
+                        setTimeout(function () {
+                            resolve(namespace.target === 'prod' && !namespace.verbose ? 3: undefined);
+                        }, 1);
+                    });
+                }
+            }).addArgument([ 'target' ], {action: 'store'});
+            var check = subparsers.addParser('check');
+            check.addArgument([ '--strict' ], {action: 'storeTrue'});
+            check.setDefaults({
+                handler: function (namespace) {
+                    if (namespace.strict) {
+                        throw new argparse.ArgumentError(undefined, 'Check failed.', 'CHECK');
+                    }
+                    return false;
+                }
+            });
+            return parser;
+        },
+        'with an asynchronous handler': {
+            topic: function (parser) {
+                var callback = this.callback;
+                Promise.all([
+                    parser.run([ 'deploy', 'staging' ]),
+                    parser.run([ 'deploy', 'prod' ]),
+                    parser.run([ '-v', 'deploy', 'prod' ])
+                ]).then(function (statuses) {
+                    callback(null, statuses);
+                }, callback);
+            },
+            'should resolve with the returned status': function (error, statuses) {
+                assert.isNull(error);
+                assert.deepEqual(statuses, [ 0, 3, 0 ]);
+            }
+        },
+        'with a synchronous handler': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.run([ 'check' ]).then(function (status) {
+                    callback(null, status);
+                }, callback);
+            },
+            'should map false to 1': function (error, status) {
+                assert.isNull(error);
+                assert.strictEqual(status, 1);
+            }
+        },
+        'with a handler throwing an ArgumentError': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.run([ 'check', '--strict' ]).then(function (status) {
+                    callback(null, status);
+                }, function (error) {
+                    callback(null, error);
+                });
+            },
+            'should exit with a usage error of the subparser': function (error, result) {
+                assert.ok(result instanceof argparse.SystemExit);
+                assert.strictEqual(result.code, 1);
+                assert.equal(result.message, 'tool check: error: Check failed.\n');
+            }
+        },
+        'without command': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.run([]).then(function (status) {
+                    callback(null, status);
+                }, function (error) {
+                    callback(null, error);
+                });
+            },
+            'should exit with an error': function (error, result) {
+                assert.ok(result instanceof argparse.SystemExit);
+            }
+        },
+        'without debug': {
+            topic: function () {
+                var callback = this.callback,
+                    parser = createParser({program: 'tool', debug: false}),
+                    argv = process.argv,
+                    exitCode = process.exitCode,
+                    statuses = [],
+                    promise;
+                parser.addArgument([ 'command' ], {action: 'store', choices: [ 'deploy' ]});
+                parser.setDefaults({
+                    handler: function (namespace) {
+                        return 2;
+                    }
+                });
+                process.argv = [ 'node', '/tmp/tool.js', 'deploy' ];
+                try {
+                    promise = parser.run();
+                } finally {
+                    process.argv = argv;
+                }
+                promise.then(function (status) {
+                    statuses.push(status);
+                    return parser.run([ 'build' ]);
+                }).then(function (status) {
+                    statuses.push(status, process.exitCode);
+                    process.exitCode = exitCode;
+                    callback(null, statuses);
+                }, function (error) {
+                    process.exitCode = exitCode;
+                    callback(null, error);
+                });
+            },
+            'should parse the system args without the script': function (error, result) {
+                assert.strictEqual(result[0], 2);
+            },
+            'should resolve with the status of usage errors': function (error, result) {
+                assert.strictEqual(result[1], 1);
+                assert.strictEqual(result[2], 1);
+            }
+        }
+    },
+    'parseArgsAsync()': {
+        topic: function (item) {
+            var parser = createParser({
+                program: 'foo'
+            });
+            parser.register('type', 'upper', function (string) {
+                return new Promise(function (resolve, reject) {
+                    setTimeout(function () {
+                        if (string === 'bad') {
+                            reject(new Error('bad value'));
+                        } else {
+                            resolve(string.toUpperCase());
+                        }
+                    }, 1);
+                });
+            });
+            parser.addArgument([ '-c', '--color' ], {
+                action: 'store',
+                type: 'upper',
+                choices: [ 'RED', 'BLUE' ]
+            });
+            parser.addArgument([ 'files' ], {
+                action: 'store',
+                type: 'upper',
+                nargs: '+'
+            });
+            return parser;
+        },
+        'should report asynchronous values when parsing synchronously': function (parser) {
+            assert.throws(function () {
+                parser.parseArgs([ '-c', 'z', 'a' ]);
+            }, function (e) {
+                return e instanceof argparse.ArgumentError && e.code === 'ASYNCHRONOUS_VALUE' &&
+                    e.message === 'Asynchronous value, parse the arguments with parseArgsAsync().';
+            });
+        },
+        'with valid arguments': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.parseArgsAsync([ '-c', 'red', 'a', 'b' ]).then(function (namespace) {
+                    callback(null, namespace);
+                }, callback);
+            },
+            'should resolve the values of asynchronous types': function (error, namespace) {
+                assert.isNull(error);
+                assert.deepEqual(namespace, new Namespace({
+                    color: 'RED',
+                    files: [ 'A', 'B' ]
+                }));
+            }
+        },
+        'with a rejected value': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.parseArgsAsync([ 'a', 'bad' ]).then(function (namespace) {
+                    callback(null, namespace);
+                }, function (error) {
+                    callback(null, error);
+                });
+            },
+            'should reject with an ArgumentError': function (error, result) {
+                assert.ok(result instanceof argparse.ArgumentError);
+                assert.equal(result.code, 'INVALID_VALUE');
+            }
+        },
+        'with an invalid choice': {
+            topic: function (parser) {
+                var callback = this.callback;
+                parser.parseArgsAsync([ '-c', 'green', 'a' ]).then(function (namespace) {
+                    callback(null, namespace);
+                }, function (error) {
+                    callback(null, error);
+                });
+            },
+            'should check the resolved value': function (error, result) {
+                assert.ok(result instanceof argparse.ArgumentError);
+                assert.equal(result.code, 'INVALID_CHOICE');
+            }
+        },
+        'without args': {
+            topic: function (parser) {
+                var callback = this.callback,
+                    argv = process.argv,
+                    promise;
+                process.argv = [ 'node', '/tmp/foo.js', 'a' ];
+                try {
+                    promise = parser.parseArgsAsync();
+                } finally {
+                    process.argv = argv;
+                }
+                promise.then(function (namespace) {
+                    callback(null, namespace);
+                }, callback);
+            },
+            'should parse the system args without the script': function (error, namespace) {
+                assert.isNull(error);
+                assert.deepEqual(namespace.files, [ 'A' ]);
+            }
+        },
+        'with a command': {
+            topic: function (parser) {
+                var callback = this.callback,
+                    upper = parser._registryGet('type', 'upper'),
+                    tool = createParser({program: 'tool'}),
+                    deploy;
+                tool.register('type', 'upper', upper);
+                tool.addArgument([ '-c', '--color' ], {action: 'store', type: 'upper'});
+                deploy = tool.addSubparsers({destination: 'command'}).addParser('deploy');
+                deploy.register('type', 'upper', upper);
+                deploy.addArgument([ 'target' ], {action: 'store', type: 'upper'});
+                deploy.addArgument([ '--tags' ], {action: 'store', type: 'upper', nargs: '*'});
+                tool.parseArgsAsync([ '-c', 'red', 'deploy', 'prod', '--tags', 'a', 'b' ]).then(function (namespace) {
+                    return tool.parseArgsAsync([ 'deploy', 'bad' ]).then(function () {
+                        callback(null, namespace, undefined);
+                    }, function (error) {
+                        callback(null, namespace, error);
+                    });
+                }, callback);
+            },
+            'should resolve the values of asynchronous types of the command': function (error, namespace, rejection) {
+                assert.isNull(error);
+                assert.deepEqual(namespace, new Namespace({color: 'RED', command: 'deploy', target: 'PROD', tags: [ 'A', 'B' ]}));
+            },
+            'should reject with the errors of the command': function (error, namespace, rejection) {
+                assert.ok(rejection instanceof argparse.ArgumentError);
+                assert.equal(rejection.code, 'INVALID_VALUE');
+            }
+        }
     }
 });
 